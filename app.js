@@ -1,522 +1,1016 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
+const crypto = require('crypto');
+const archiver = require('archiver');
 require('dotenv').config();
+const { createDataSource } = require('./lib/dataSources');
+const { createWorkbookCache } = require('./lib/workbookCache');
+const { processStudentData, indexSheetsByName, getSheet, getValueByHeader } = require('./lib/sheetProcessors');
+const { getSheetSchemas, getSchemaRanges, findUnmatchedHeaders } = require('./lib/sheetSchema');
+const { getAttendanceStatus, buildAttendanceAlerts } = require('./lib/attendanceAlerts');
+const { createAuth, authenticateStudent, canAccessClass } = require('./lib/auth');
+const { createLoginLimiter } = require('./lib/loginLimiter');
+const { buildClassReport, findStudentsByClass } = require('./lib/classReport');
+const { loadPhoto, renderReportCard } = require('./lib/reportCard');
+const { validateWorkbook } = require('./lib/sheetValidator');
+const { createAuditLog } = require('./lib/auditLog');
+const { createSheetWriter } = require('./lib/sheetWriter');
+const {
+  getAcademicCalendar,
+  sessionForDate,
+  parseSession,
+  formatSession,
+  sessionStart,
+  applyAcademicCalendar,
+  monthNumber,
+  prefixRanges,
+  stripRangePrefix
+} = require('./lib/academicCalendar');
+const { buildAttendanceCalendar } = require('./lib/attendanceRegister');
+const { buildPerformanceAnalytics } = require('./lib/performanceAnalytics');
+const { findGuardianChildren, buildGuardianDashboard } = require('./lib/guardianView');
+const { buildAttendanceExport, buildMarksExport, toCsv, toXlsx } = require('./lib/exports');
+const { createNotifier, createChannels } = require('./lib/notifications');
+const { getTemplates } = require('./lib/notifications/templates');
+const { getTenants, isValidAdmissionNumber } = require('./lib/tenants');
+const { defaultErrorCode } = require('./lib/errors');
 
+// The Express app; server.js starts it listening, tests use it directly
 const app = express();
-const PORT = process.env.PORT || 3000;
 
-// Only need these two environment variables
+// Only need these two environment variables for the Google Sheets source
 const GOOGLE_SHEETS_ID = process.env.GOOGLE_SHEETS_ID;
 const GOOGLE_SHEETS_API_KEY = process.env.GOOGLE_SHEETS_API_KEY;
 
+// How long a fetched workbook is served before it is refreshed, and how long
+// a stale copy may still be served while the refresh runs in the background
+const SHEETS_CACHE_TTL_SECONDS = parseInt(process.env.SHEETS_CACHE_TTL_SECONDS || 300);
+const SHEETS_CACHE_STALE_SECONDS = Math.max(
+  parseInt(process.env.SHEETS_CACHE_STALE_SECONDS || 3600),
+  SHEETS_CACHE_TTL_SECONDS
+);
+
+// KV rules flag students below 75% attendance; declining attendance is
+// flagged after this many consecutive month-on-month drops
+const ATTENDANCE_THRESHOLD = parseFloat(process.env.ATTENDANCE_THRESHOLD || 75);
+const ATTENDANCE_DECLINE_MONTHS = parseInt(process.env.ATTENDANCE_DECLINE_MONTHS || 2);
+
+// Define the ranges we want to fetch. Item sheets (Activities, Assignments,
+// Tests, Corrections, ...) come from config/sheetSchemas.json
+const SHEET_RANGES = [
+  'Students!A:Z',  // Includes the optional pin column used for login
+  'Subjects!A:ZZ',  // Wider range to accommodate horizontal data
+  'Attendance!A:ZZ', // Wider range for horizontal attendance
+  ...getSchemaRanges()
+];
+
+// Parent notifications: NOTIFY_CHANNELS picks the channels (see
+// lib/notifications/channels.js), NOTIFY_INTERVAL_MINUTES how often the
+// workbook is checked for changes (0 = only when run from the admin API)
+// and NOTIFY_QUIET_HOURS ("21:00-07:00") when messages are held back, on the
+// clock of NOTIFY_TIMEZONE (default Asia/Kolkata)
+const NOTIFY_INTERVAL_MINUTES = parseFloat(process.env.NOTIFY_INTERVAL_MINUTES || 0);
+
+// Session tokens. Without AUTH_JWT_SECRET a random key is used, so every
+// restart logs everyone out
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const AUTH_TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+
+// Everything one school (see lib/tenants.js) needs: its data source
+// (google-sheets, csv, xlsx or json, see lib/dataSources), workbook caches,
+// staff logins, the write API with its audit log, and parent notifications
+function createSchool(tenant) {
+  const dataSource = createDataSource(tenant.dataSource);
+
+  // Shared workbook cache so student lookups don't each refetch the workbook
+  const workbookCache = createWorkbookCache({
+    fetchWorkbook: () => dataSource.fetchWorkbook(SHEET_RANGES),
+    ttlMs: SHEETS_CACHE_TTL_SECONDS * 1000,
+    staleMs: SHEETS_CACHE_STALE_SECONDS * 1000
+  });
+
+  // Every change made through the write API is logged here
+  const auditLog = createAuditLog({ file: tenant.auditLogFile });
+
+  // Write API for teachers; marks the cached workbook stale after each change
+  const sheetWriter = createSheetWriter({
+    dataSource,
+    ranges: SHEET_RANGES,
+    auditLog,
+    gradingScale: tenant.gradingScale,
+    onChange: () => workbookCache.invalidate()
+  });
+
+  const notificationConfig = { ...process.env, ...tenant.notifications };
+  const notifier = createNotifier({
+    channels: createChannels(notificationConfig),
+    templates: getTemplates(),
+    stateFile: tenant.notifyStateFile,
+    quietHours: notificationConfig.NOTIFY_QUIET_HOURS,
+    timeZone: notificationConfig.NOTIFY_TIMEZONE,
+    schoolName: tenant.branding.schoolName,
+    threshold: ATTENDANCE_THRESHOLD,
+    gradingScale: tenant.gradingScale,
+    // Always check fresh data; this also refreshes the shared cache
+    fetchWorkbook: () => workbookCache.refresh()
+  });
+
+  const auth = createAuth({
+    secret: AUTH_JWT_SECRET,
+    tokenTtl: AUTH_TOKEN_TTL,
+    staffFile: tenant.staffAccountsFile,
+    school: tenant.code
+  });
+
+  // Workbook caches for older sessions, created on first use
+  const sessionCaches = {};
+
+  // Older sessions: the school's own list, or the academic calendar's
+  function getSessions(calendar) {
+    return tenant.sessions || calendar.sessions;
+  }
+
+  // The workbook cache holding a session's data (null for unknown sessions).
+  // The current session is the main workbook unless the calendar says otherwise.
+  function getSessionWorkbookCache(session) {
+    const calendar = getAcademicCalendar();
+    const sessionConfig = getSessions(calendar)[session];
+
+    if (!sessionConfig) {
+      return session === sessionForDate(new Date(), calendar) ? workbookCache : null;
+    }
+
+    if (!sessionCaches[session]) {
+      const source = sessionConfig.dataSource
+        ? createDataSource({ ...tenant.dataSource, ...sessionConfig.dataSource })
+        : dataSource;
+      const prefix = sessionConfig.sheetPrefix || '';
+
+      sessionCaches[session] = createWorkbookCache({
+        fetchWorkbook: async () => {
+          if (!prefix) return source.fetchWorkbook(SHEET_RANGES);
+          return stripRangePrefix(await source.fetchWorkbook(prefixRanges(SHEET_RANGES, prefix)), prefix);
+        },
+        // Past sessions rarely change, so keep them for the full stale period
+        ttlMs: SHEETS_CACHE_STALE_SECONDS * 1000,
+        staleMs: SHEETS_CACHE_STALE_SECONDS * 1000
+      });
+    }
+
+    return sessionCaches[session];
+  }
+
+  // Data source, cache and notification details for the status endpoint
+  function getStatus() {
+    return {
+      school: tenant.code,
+      name: tenant.name,
+      dataSource: dataSource.name,
+      dataSourceConfigured: dataSource.configured,
+      dataSourceWritable: dataSource.writable,
+      staffLoginConfigured: auth.staffConfigured,
+      cache: workbookCache.getStatus(),
+      notifications: { ...notifier.getStatus(), intervalMinutes: NOTIFY_INTERVAL_MINUTES }
+    };
+  }
+
+  // "ok" once the workbook has been fetched, "error" while fetching it
+  // fails, "unknown" before anyone has asked for it
+  function getHealth() {
+    const cache = workbookCache.getStatus();
+    let health = 'unknown';
+    if (!dataSource.configured) health = 'not_configured';
+    else if (cache.lastError) health = 'error';
+    else if (cache.cached) health = 'ok';
+
+    return {
+      code: tenant.code,
+      name: tenant.name,
+      health,
+      dataSource: dataSource.name,
+      dataAsOf: cache.dataAsOf,
+      lastError: cache.lastError
+    };
+  }
+
+  return {
+    ...tenant,
+    dataSource,
+    workbookCache,
+    sheetWriter,
+    auditLog,
+    notifier,
+    auth,
+    getSessions,
+    getSessionWorkbookCache,
+    getStatus,
+    getHealth
+  };
+}
+
+// Every school in the tenant registry, or the one set up in the environment
+const tenants = getTenants();
+const schools = tenants.schools.map(createSchool);
+
+// School served by the unprefixed /api/... routes (none when the registry
+// has no default, so every request has to name its school)
+const defaultSchool = schools.find(school => school.code === tenants.defaultCode) || null;
+
+// Read ?session=2025-26&term=1, defaulting to the current session.
+// Sends a 400/404 and returns null when they are invalid.
+function resolveSessionQuery(req, res) {
+  const calendar = getAcademicCalendar();
+  const session = req.query.session
+    ? (parseSession(req.query.session) !== null ? formatSession(parseSession(req.query.session), calendar) : null)
+    : sessionForDate(new Date(), calendar);
+
+  if (!session) {
+    res.status(400).json({ error: 'Invalid session. Use the form 2025-26.' });
+    return null;
+  }
+
+  const term = req.query.term;
+  if (term !== undefined && !calendar.terms.some(t => String(t.term) === String(term))) {
+    res.status(400).json({ error: `Invalid term. Use one of ${calendar.terms.map(t => t.term).join(', ')}.` });
+    return null;
+  }
+
+  const cache = req.school.getSessionWorkbookCache(session);
+  if (!cache) {
+    res.status(404).json({ error: `No data available for session ${session}` });
+    return null;
+  }
+
+  return { session, term, cache };
+}
+
+// Failed logins: per IP, and per admission number / username, before lockout
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const ipLoginLimiter = createLoginLimiter({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP || 20),
+  windowMs: LOGIN_WINDOW_MS,
+  lockoutMs: LOGIN_WINDOW_MS
+});
+const accountLoginLimiter = createLoginLimiter({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_ACCOUNT || 5),
+  windowMs: LOGIN_WINDOW_MS,
+  lockoutMs: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || 30) * 60 * 1000
+});
+
+// Behind a proxy (Render, Heroku, nginx) this makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
 // Allow requests from GitHub Pages (or any origin for development)
 app.use(cors({
-  origin: '*',  // Allow all origins, or specify your GitHub Pages URL
-  methods: ['GET'], // Only allow GET requests
-  allowedHeaders: ['Content-Type', 'Authorization']
+  origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*',  // Comma-separated list, e.g. your GitHub Pages URL
+  methods: ['GET', 'POST', 'PATCH'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'X-Data-Warnings']
 }));
 
-// Simple API endpoint to fetch student data by admission number
-app.get('/api/student-data', async (req, res) => {
+// Every request gets an ID (the caller's X-Request-Id, or a new one) that is
+// sent back in the X-Request-Id header and in error bodies, next to a stable
+// error code, so a parent's "server error" can be found in the logs
+app.use((req, res, next) => {
+  const requested = req.get('X-Request-Id');
+  req.id = requested && /^[\w.-]{1,64}$/.test(requested) ? requested : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && body && body.error && !body.requestId) {
+      body = { ...body, code: body.code || defaultErrorCode(res.statusCode), requestId: req.id };
+    }
+    return json(body);
+  };
+  next();
+});
+app.use(express.json());
+
+// Answer with a typed error's status and code (unknown student, bad sheet,
+// data source down); anything else is a bug, logged and sent as a 500
+function sendError(req, res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message, code: error.code });
+  }
+  console.error(`[${req.id}] ${fallbackMessage}:`, error);
+  res.status(500).json({ error: fallbackMessage });
+}
+
+// Routes of one school, served at /api/<school>/... and, for the default
+// school, /api/...; req.school is the school's context (see createSchool)
+const api = express.Router();
+
+// The school's auth.requireRole
+function requireRole(...roles) {
+  return (req, res, next) => req.school.auth.requireRole(...roles)(req, res, next);
+}
+
+// Refuse a login attempt while the IP or the account is locked out
+function checkLoginLockout(req, res, accountKey) {
+  const retryAfter = Math.max(ipLoginLimiter.getRetryAfter(req.ip), accountLoginLimiter.getRetryAfter(accountKey));
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minutes.` });
+    return true;
+  }
+  return false;
+}
+
+// Parent/student login with admission number plus DOB or PIN
+api.post('/auth/login', async (req, res) => {
   try {
-    const admissionNumber = req.query.admission;
+    const { dob, pin } = req.body || {};
+    const admission = String((req.body || {}).admission || '').trim();
     
-    // Validate admission number
-    if (!admissionNumber || !/^\d{5}$/.test(admissionNumber)) {
-      return res.status(400).json({ error: 'Invalid admission number. Must be 5 digits.' });
+    if (!isValidAdmissionNumber(req.school, admission)) {
+      return res.status(400).json({ error: `Invalid admission number. Must be ${req.school.admissionNumber.description}.` });
+    }
+    if (!dob && !pin) {
+      return res.status(400).json({ error: 'Date of birth or PIN is required' });
     }
     
-    // Google Sheets API endpoint with multiple ranges
-    const sheetsEndpoint = `https://sheets.googleapis.com/v4/spreadsheets/${GOOGLE_SHEETS_ID}/values:batchGet`;
+    const accountKey = `${req.school.code}:student:${admission}`;
+    if (checkLoginLockout(req, res, accountKey)) return;
     
-    // Define the ranges we want to fetch
-    const ranges = [
-      'Students!A:G',
-      'Subjects!A:Z',  // Wider range to accommodate horizontal data
-      'Activities!A:Z', // Wider range for horizontal activities
-      'Assignments!A:Z', // Wider range for horizontal assignments
-      'Tests!A:Z',      // Wider range for horizontal tests
-      'Corrections!A:Z', // Wider range for horizontal corrections
-      'Attendance!A:Z'   // Wider range for horizontal attendance
-    ];
+    const workbook = await req.school.workbookCache.get();
+    const user = authenticateStudent(workbook.data, admission, { dob, pin });
     
-    // Build the full URL with query parameters
-    const url = `${sheetsEndpoint}?key=${GOOGLE_SHEETS_API_KEY}&ranges=${ranges.map(range => encodeURIComponent(range)).join('&ranges=')}`;
+    if (!user) {
+      ipLoginLimiter.recordFailure(req.ip);
+      accountLoginLimiter.recordFailure(accountKey);
+      return res.status(401).json({ error: 'Admission number and date of birth/PIN do not match' });
+    }
     
-    // Fetch data from Google Sheets
-    const response = await axios.get(url);
+    accountLoginLimiter.recordSuccess(accountKey);
+    res.json({ token: req.school.auth.issueToken(user), user });
+  } catch (error) {
+    sendError(req, res, error, 'Login failed');
+  }
+});
+
+// Teacher/admin login with the school's staff accounts file
+api.post('/auth/staff-login', (req, res) => {
+  const { username, password } = req.body || {};
+  
+  if (!username || !password) {
+    return res.status(400).json({ error: 'Username and password are required' });
+  }
+  
+  const accountKey = `${req.school.code}:staff:${String(username).toLowerCase()}`;
+  if (checkLoginLockout(req, res, accountKey)) return;
+  
+  const user = req.school.auth.authenticateStaff(username, password);
+  
+  if (!user) {
+    ipLoginLimiter.recordFailure(req.ip);
+    accountLoginLimiter.recordFailure(accountKey);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  
+  accountLoginLimiter.recordSuccess(accountKey);
+  res.json({ token: req.school.auth.issueToken(user), user });
+});
+
+// Process one student's data from a school's cached workbook, as served by the API
+// Options: session ("2025-26") and term (1, 2...) from the academic calendar
+function buildStudentResponse(school, workbook, admissionNumber, options = {}) {
+  const calendar = getAcademicCalendar();
+  const session = options.session || sessionForDate(new Date(), calendar);
+  const studentData = processStudentData(workbook.data, admissionNumber, {
+    gradingScale: school.gradingScale,
+    session: sessionStart(session, calendar)
+  });
+  const processedData = applyAcademicCalendar(studentData, { calendar, session, term: options.term });
+  processedData.summary.attendanceStatus = getAttendanceStatus(processedData.attendance, ATTENDANCE_THRESHOLD);
+  processedData.analytics = buildPerformanceAnalytics(workbook.data, processedData, { calendar, term: options.term });
+  processedData.dataAsOf = workbook.fetchedAt.toISOString();
+  return processedData;
+}
+
+// Render one student's report card PDF, with their photo when available
+async function buildReportCardPdf(school, studentData) {
+  const photo = await loadPhoto(studentData.studentInfo.photoUrl);
+  return renderReportCard(studentData, { branding: school.branding, photo, threshold: ATTENDANCE_THRESHOLD });
+}
+
+// Simple API endpoint to fetch student data by admission number
+api.get('/student-data', requireRole('student', 'teacher', 'admin'), async (req, res) => {
+  try {
+    // Students can only read their own data
+    const admissionNumber = req.user.role === 'student' ? req.user.sub : req.query.admission;
+    
+    // Validate admission number
+    if (!isValidAdmissionNumber(req.school, admissionNumber)) {
+      return res.status(400).json({ error: `Invalid admission number. Must be ${req.school.admissionNumber.description}.` });
+    }
+    
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+    
+    // Get the workbook from the cache (fetches from the data source when needed)
+    const workbook = await sessionQuery.cache.get();
     
     // Process the response to extract data for the specific student
-    const processedData = processStudentData(response.data, admissionNumber);
+    const processedData = buildStudentResponse(req.school, workbook, admissionNumber, sessionQuery);
+    
+    if (req.user.role !== 'student' && !canAccessClass(req.user, processedData.studentInfo.class)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
     
     res.json(processedData);
   } catch (error) {
-    console.error('Error fetching data from Google Sheets:', error);
-    if (error.response && error.response.data) {
-      console.error('Google API Error:', error.response.data);
-    }
-    res.status(500).json({ error: 'Failed to fetch data from Google Sheets' });
+    sendError(req, res, error, 'Failed to fetch student data');
   }
 });
 
-// API status endpoint
-app.get('/api/status', (req, res) => {
-  res.json({ 
-    status: 'online',
-    message: 'Student Portfolio API is running',
-    sheetsConfigured: Boolean(GOOGLE_SHEETS_ID && GOOGLE_SHEETS_API_KEY)
-  });
+// Day-by-day attendance for one student from the day-wise register:
+// months with each day's code, streaks and absences per weekday
+api.get('/student-data/attendance-calendar', requireRole('student', 'teacher', 'admin'), async (req, res) => {
+  try {
+    // Students can only read their own attendance
+    const admissionNumber = req.user.role === 'student' ? req.user.sub : req.query.admission;
+    
+    if (!isValidAdmissionNumber(req.school, admissionNumber)) {
+      return res.status(400).json({ error: `Invalid admission number. Must be ${req.school.admissionNumber.description}.` });
+    }
+    
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+    
+    const workbook = await sessionQuery.cache.get();
+    const attendanceCalendar = buildAttendanceCalendar(workbook.data, admissionNumber, {
+      calendar: getAcademicCalendar(),
+      session: sessionQuery.session,
+      term: sessionQuery.term
+    });
+    
+    if (req.user.role !== 'student' && !canAccessClass(req.user, attendanceCalendar.studentInfo.class)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+    
+    attendanceCalendar.dataAsOf = workbook.fetchedAt.toISOString();
+    res.json(attendanceCalendar);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to build attendance calendar');
+  }
 });
 
-// Process the Google Sheets response with horizontal data structure
-function processStudentData(sheetsData, admissionNumber) {
+// Printable report card for one student
+api.get('/student-data/report.pdf', requireRole('student', 'teacher', 'admin'), async (req, res) => {
   try {
-    // Extract value ranges from the response
-    const [studentsSheet, subjectsSheet, activitiesSheet, 
-           assignmentsSheet, testsSheet, correctionsSheet, 
-           attendanceSheet] = sheetsData.valueRanges;
+    // Students can only download their own report card
+    const admissionNumber = req.user.role === 'student' ? req.user.sub : req.query.admission;
     
-    // Extract headers from each sheet
-    const studentsHeaders = studentsSheet.values[0];
-    const subjectsHeaders = subjectsSheet.values[0];
-    const activitiesHeaders = activitiesSheet.values[0];
-    const assignmentsHeaders = assignmentsSheet.values[0];
-    const testsHeaders = testsSheet.values[0];
-    const correctionsHeaders = correctionsSheet.values[0];
-    const attendanceHeaders = attendanceSheet.values[0];
-    
-    // Find student info row
-    const studentData = findStudentByAdmissionNo(studentsSheet.values, studentsHeaders, admissionNumber);
-    
-    if (!studentData) {
-      throw new Error(`Student with admission number ${admissionNumber} not found`);
-    }
-    
-    // Extract student basic info
-    const studentInfo = {
-      name: getValueByHeader(studentData, studentsHeaders, 'name'),
-      class: getValueByHeader(studentData, studentsHeaders, 'class'),
-      admissionNo: getValueByHeader(studentData, studentsHeaders, 'admission_no'),
-      rollNo: getValueByHeader(studentData, studentsHeaders, 'roll_no'),
-      dob: getValueByHeader(studentData, studentsHeaders, 'dob'),
-      contact: getValueByHeader(studentData, studentsHeaders, 'contact'),
-      photoUrl: getValueByHeader(studentData, studentsHeaders, 'photo_url') || '/api/placeholder/120/120'
-    };
+    if (!isValidAdmissionNumber(req.school, admissionNumber)) {
+      return res.status(400).json({ error: `Invalid admission number. Must be ${req.school.admissionNumber.description}.` });
+    }
     
-    // Find student data rows for horizontal sheets
-    const subjectRow = findStudentByAdmissionNo(subjectsSheet.values, subjectsHeaders, admissionNumber);
-    const activitiesRow = findStudentByAdmissionNo(activitiesSheet.values, activitiesHeaders, admissionNumber);
-    const assignmentsRow = findStudentByAdmissionNo(assignmentsSheet.values, assignmentsHeaders, admissionNumber);
-    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, admissionNumber);
-    const correctionsRow = findStudentByAdmissionNo(correctionsSheet.values, correctionsHeaders, admissionNumber);
-    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNumber);
-    
-    // Process subjects (horizontal format)
-    const subjectProgress = processHorizontalSubjects(subjectRow, subjectsHeaders);
-    
-    // Process activities (horizontal format)
-    const subjectActivities = processHorizontalActivities(activitiesRow, activitiesHeaders);
-    
-    // Process assignments (horizontal format)
-    const assignments = processHorizontalAssignments(assignmentsRow, assignmentsHeaders);
-    
-    // Process tests (horizontal format)
-    const allTests = processHorizontalTests(testsRow, testsHeaders);
-    
-    // Sort tests by date (newest first) and take the 5 most recent
-    const recentTests = [...allTests].sort((a, b) => {
-      const dateA = new Date(a.date.split('-').reverse().join('-'));
-      const dateB = new Date(b.date.split('-').reverse().join('-'));
-      return dateB - dateA;
-    }).slice(0, 5).map(test => ({
-      subject: test.subject,
-      name: test.name,
-      date: test.date,
-      marks: `${test.marksObtained}/${test.maxMarks}`,
-      percentage: test.percentage,
-      grade: test.grade
-    }));
-    
-    // Process corrections (horizontal format)
-    const corrections = processHorizontalCorrections(correctionsRow, correctionsHeaders);
-    
-    // Process attendance (horizontal format)
-    const attendance = processHorizontalAttendance(attendanceRow, attendanceHeaders);
-    
-    // Calculate summary statistics
-    const completedAssignments = assignments.filter(a => a.status === 'complete').length;
-    const pendingAssignments = assignments.filter(a => a.status === 'pending').length;
-    const overallAttendance = attendance.length > 0 
-      ? attendance.reduce((sum, month) => sum + month.percentage, 0) / attendance.length
-      : 0;
-    
-    // Compile all data
-    return {
-      studentInfo,
-      subjectProgress,
-      recentTests,
-      subjectActivities,
-      assignments,
-      tests: allTests,
-      corrections,
-      attendance,
-      summary: {
-        totalSubjects: subjectProgress.length,
-        completedAssignments,
-        pendingAssignments,
-        attendancePercentage: `${overallAttendance.toFixed(1)}%`
-      }
-    };
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+    
+    const workbook = await sessionQuery.cache.get();
+    const studentData = buildStudentResponse(req.school, workbook, admissionNumber, sessionQuery);
+    
+    if (req.user.role !== 'student' && !canAccessClass(req.user, studentData.studentInfo.class)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+    
+    const pdf = await buildReportCardPdf(req.school, studentData);
+    
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="report-card-${admissionNumber}.pdf"`);
+    res.send(pdf);
   } catch (error) {
-    console.error('Error processing student data:', error);
-    throw error;
+    sendError(req, res, error, 'Failed to generate report card');
   }
-}
+});
 
-// Process horizontally structured subjects data
-function processHorizontalSubjects(studentRow, headers) {
-  if (!studentRow) return [];
-  
-  // Process all subject columns
-  // Format expected: subject_progress, subject_grade (math_progress, math_grade, etc.)
-  const subjects = [];
-  const progressSuffix = '_progress';
-  const gradeSuffix = '_grade';
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    if (header.endsWith(progressSuffix)) {
-      const subject = header.substring(0, header.length - progressSuffix.length);
-      const progress = parseFloat(studentRow[i] || 0);
-      
-      // Find the matching grade column
-      const gradeHeader = `${subject}${gradeSuffix}`;
-      const gradeIndex = headers.findIndex(h => h.toLowerCase() === gradeHeader);
-      const grade = gradeIndex !== -1 ? studentRow[gradeIndex] : '';
-      
-      // Only add subjects that have progress values
-      if (!isNaN(progress) && progress > 0) {
-        subjects.push({
-          subject: capitalizeFirstLetter(subject.replace('_', ' ')),
-          progress: progress,
-          grade: grade
-        });
-      }
+// Combined dashboard for a parent with several children in the school:
+// each child's summary, their pending assignments and alerts. Parents may
+// open it for a guardian of their own child.
+api.get('/guardian/:id/students', requireRole('student', 'teacher', 'admin'), async (req, res) => {
+  try {
+    const guardianId = String(req.params.id).trim();
+    
+    if (!/^[\w.-]{1,64}$/.test(guardianId)) {
+      return res.status(400).json({ error: 'Invalid guardian ID' });
+    }
+    
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+    
+    // One workbook fetch for all the children
+    const workbook = await sessionQuery.cache.get();
+    const admissionNumbers = findGuardianChildren(workbook.data, guardianId);
+    
+    if (req.user.role === 'student' && !admissionNumbers.includes(req.user.sub)) {
+      return res.status(403).json({ error: 'You do not have access to this guardian' });
+    }
+    if (admissionNumbers.length === 0) {
+      return res.status(404).json({ error: `No students found for guardian ${guardianId}`, code: 'GUARDIAN_NOT_FOUND' });
+    }
+    
+    // Teachers only see the children in their own classes
+    const children = admissionNumbers
+      .map(admissionNumber => buildStudentResponse(req.school, workbook, admissionNumber, sessionQuery))
+      .filter(child => req.user.role === 'student' || canAccessClass(req.user, child.studentInfo.class));
+    
+    if (children.length === 0) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
     }
+    
+    const dashboard = buildGuardianDashboard(guardianId, children, {
+      declineMonths: ATTENDANCE_DECLINE_MONTHS,
+      sessionStartMonth: getAcademicCalendar().sessionStartMonth
+    });
+    dashboard.session = sessionQuery.session;
+    dashboard.term = sessionQuery.term || null;
+    dashboard.dataAsOf = workbook.fetchedAt.toISOString();
+    res.json(dashboard);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to build guardian dashboard');
   }
-  
-  return subjects;
-}
+});
 
-// Process horizontally structured activities data
-function processHorizontalActivities(studentRow, headers) {
-  if (!studentRow) return [];
-  
-  const activities = [];
-  // Format expected: subject_activity1, subject_activity1_date, subject_activity1_description, subject_activity1_status
-  // Then subject_activity2, etc.
-  
-  // First, identify all subjects and activities
-  const activityMap = {};
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    // Look for subject_activityN pattern
-    const match = header.match(/^([a-z]+)_activity(\d+)$/);
-    if (match) {
-      const subject = match[1];
-      const activityNum = match[2];
-      const activityKey = `${subject}_activity${activityNum}`;
-      
-      if (!activityMap[activityKey]) {
-        activityMap[activityKey] = { subject: subject };
+// Report cards for a whole class, one PDF per student, zipped. Students
+// whose data can't be read are left out and listed in skipped.txt.
+api.get('/class-report/report-cards.zip', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const className = (req.query.class || '').trim();
+    
+    if (!className) {
+      return res.status(400).json({ error: 'Class is required, e.g. ?class=VIII-A' });
+    }
+    if (!canAccessClass(req.user, className)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+    
+    const workbook = await req.school.workbookCache.get();
+    const studentsSheet = getSheet(indexSheetsByName(workbook.data), 'Students');
+    const studentsHeaders = studentsSheet.values[0];
+    const admissionIndex = studentsHeaders.findIndex(h => h.toLowerCase() === 'admission_no');
+    const classRows = findStudentsByClass(studentsSheet.values, studentsHeaders, className);
+    
+    if (classRows.length === 0) {
+      return res.status(404).json({ error: `No students found in class ${className}` });
+    }
+    
+    // Read every student before the download starts, so a bad row can't
+    // break the archive halfway through
+    const students = [];
+    const skipped = [];
+    classRows.forEach(row => {
+      const admissionNumber = row[admissionIndex];
+      const name = getValueByHeader(row, studentsHeaders, 'name') || 'Unnamed student';
+      if (!String(admissionNumber || '').trim()) {
+        skipped.push(`${name}: no admission number`);
+        return;
       }
-      
-      activityMap[activityKey].name = studentRow[i];
-      
-      // Look for related fields
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === `${activityKey}_date`);
-      const descIndex = headers.findIndex(h => h.toLowerCase() === `${activityKey}_description`);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === `${activityKey}_status`);
-      
-      if (dateIndex !== -1) activityMap[activityKey].date = studentRow[dateIndex];
-      if (descIndex !== -1) activityMap[activityKey].description = studentRow[descIndex];
-      if (statusIndex !== -1) activityMap[activityKey].status = studentRow[statusIndex];
+      try {
+        students.push({ admissionNumber, studentData: buildStudentResponse(req.school, workbook, admissionNumber) });
+      } catch (error) {
+        if (!error.status) throw error;
+        skipped.push(`${name} (${admissionNumber}): ${error.message}`);
+      }
+    });
+    
+    if (students.length === 0) {
+      return res.status(422).json({ error: `No report cards could be made for class ${className}`, skipped });
     }
-  }
-  
-  // Convert the map to an array
-  for (const key in activityMap) {
-    const activity = activityMap[key];
-    // Only add activities that have a name and are not empty
-    if (activity.name && activity.name.trim() !== '') {
-      activities.push({
-        subject: capitalizeFirstLetter(activity.subject.replace('_', ' ')),
-        activity: activity.name,
-        date: activity.date || '',
-        description: activity.description || '',
-        status: activity.status || 'pending'
-      });
+    
+    const archive = archiver('zip');
+    archive.on('error', error => {
+      console.error('Error zipping report cards:', error);
+      res.destroy(error);
+    });
+    
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="report-cards-${className.replace(/[^\w-]+/g, '_')}.zip"`);
+    archive.pipe(res);
+    
+    // One PDF at a time keeps memory use flat for large classes
+    for (const { admissionNumber, studentData } of students) {
+      const pdf = await buildReportCardPdf(req.school, studentData);
+      const fileName = `${studentData.studentInfo.rollNo || 'x'}-${admissionNumber}-${studentData.studentInfo.name}`
+        .replace(/[^\w-]+/g, '_');
+      archive.append(pdf, { name: `${fileName}.pdf` });
+    }
+    
+    if (skipped.length > 0) {
+      archive.append(`Report cards not made:\r\n${skipped.join('\r\n')}\r\n`, { name: 'skipped.txt' });
+    }
+    
+    await archive.finalize();
+  } catch (error) {
+    if (res.headersSent) {
+      console.error(`[${req.id}] Error generating class report cards:`, error);
+      res.destroy(error);
+    } else {
+      sendError(req, res, error, 'Failed to generate report cards');
     }
   }
-  
-  return activities;
-}
+});
 
-// Process horizontally structured assignments data
-function processHorizontalAssignments(studentRow, headers) {
-  if (!studentRow) return [];
-  
-  const assignments = [];
-  // Format expected: subject_assignment1, subject_assignment1_assigned_date, subject_assignment1_due_date, 
-  // subject_assignment1_status, subject_assignment1_remarks
-  
-  // First, identify all subjects and assignments
-  const assignmentMap = {};
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    // Look for subject_assignmentN pattern
-    const match = header.match(/^([a-z]+)_assignment(\d+)$/);
-    if (match) {
-      const subject = match[1];
-      const assignmentNum = match[2];
-      const assignmentKey = `${subject}_assignment${assignmentNum}`;
-      
-      if (!assignmentMap[assignmentKey]) {
-        assignmentMap[assignmentKey] = { subject: subject };
-      }
-      
-      assignmentMap[assignmentKey].name = studentRow[i];
-      
-      // Look for related fields
-      const assignedIndex = headers.findIndex(h => h.toLowerCase() === `${assignmentKey}_assigned_date`);
-      const dueIndex = headers.findIndex(h => h.toLowerCase() === `${assignmentKey}_due_date`);
-      const statusIndex = headers.findIndex(h => h.toLowerCase() === `${assignmentKey}_status`);
-      const remarksIndex = headers.findIndex(h => h.toLowerCase() === `${assignmentKey}_remarks`);
-      
-      if (assignedIndex !== -1) assignmentMap[assignmentKey].assignedDate = studentRow[assignedIndex];
-      if (dueIndex !== -1) assignmentMap[assignmentKey].dueDate = studentRow[dueIndex];
-      if (statusIndex !== -1) assignmentMap[assignmentKey].status = studentRow[statusIndex];
-      if (remarksIndex !== -1) assignmentMap[assignmentKey].remarks = studentRow[remarksIndex];
+// Class-level attendance and performance report
+api.get('/class-report', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const className = (req.query.class || '').trim();
+
+    if (!className) {
+      return res.status(400).json({ error: 'Class is required, e.g. ?class=VIII-A' });
     }
+    if (!canAccessClass(req.user, className)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const calendar = getAcademicCalendar();
+    const workbook = await req.school.workbookCache.get();
+    const report = buildClassReport(workbook.data, className, {
+      session: sessionStart(sessionForDate(new Date(), calendar), calendar)
+    });
+
+    if (report.totalStudents === 0) {
+      return res.status(404).json({ error: `No students found in class ${className}` });
+    }
+
+    report.dataAsOf = workbook.fetchedAt.toISOString();
+    res.json(report);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to build class report');
   }
+});
+
+// Send an export as CSV (default) or Excel, or answer 400 for other formats.
+// Sheets the export had to do without are named in X-Data-Warnings.
+function sendExport(req, res, exported, filename) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  const rows = exported.rows;
   
-  // Convert the map to an array
-  for (const key in assignmentMap) {
-    const assignment = assignmentMap[key];
-    // Only add assignments that have a name and are not empty
-    if (assignment.name && assignment.name.trim() !== '') {
-      assignments.push({
-        subject: capitalizeFirstLetter(assignment.subject.replace('_', ' ')),
-        name: assignment.name,
-        assignedDate: assignment.assignedDate || '',
-        dueDate: assignment.dueDate || '',
-        status: assignment.status || 'pending',
-        remarks: assignment.remarks || ''
-      });
-    }
+  if (exported.warnings.length > 0) {
+    res.set('X-Data-Warnings', exported.warnings.map(warning => warning.message).join('; '));
   }
   
-  return assignments;
+  if (format === 'xlsx') {
+    res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    return res.send(toXlsx(rows, filename));
+  }
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(rows));
+  }
+  res.status(400).json({ error: 'Invalid format. Use csv or xlsx.' });
 }
 
-// Process horizontally structured tests data
-function processHorizontalTests(studentRow, headers) {
-  if (!studentRow) return [];
-  
-  const tests = [];
-  // Format expected: subject_test1, subject_test1_date, subject_test1_max_marks, subject_test1_marks_obtained, 
-  // subject_test1_percentage, subject_test1_grade
-  
-  // First, identify all subjects and tests
-  const testMap = {};
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    // Look for subject_testN pattern
-    const match = header.match(/^([a-z]+)_test(\d+)$/);
-    if (match) {
-      const subject = match[1];
-      const testNum = match[2];
-      const testKey = `${subject}_test${testNum}`;
-      
-      if (!testMap[testKey]) {
-        testMap[testKey] = { subject: subject };
-      }
-      
-      testMap[testKey].name = studentRow[i];
-      
-      // Look for related fields
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === `${testKey}_date`);
-      const maxMarksIndex = headers.findIndex(h => h.toLowerCase() === `${testKey}_max_marks`);
-      const marksObtainedIndex = headers.findIndex(h => h.toLowerCase() === `${testKey}_marks_obtained`);
-      const percentageIndex = headers.findIndex(h => h.toLowerCase() === `${testKey}_percentage`);
-      const gradeIndex = headers.findIndex(h => h.toLowerCase() === `${testKey}_grade`);
-      
-      if (dateIndex !== -1) testMap[testKey].date = studentRow[dateIndex];
-      if (maxMarksIndex !== -1) testMap[testKey].maxMarks = parseInt(studentRow[maxMarksIndex]);
-      if (marksObtainedIndex !== -1) testMap[testKey].marksObtained = parseInt(studentRow[marksObtainedIndex]);
-      if (percentageIndex !== -1) testMap[testKey].percentage = parseFloat(studentRow[percentageIndex]);
-      if (gradeIndex !== -1) testMap[testKey].grade = studentRow[gradeIndex];
+// Class name made safe for a download filename ("VIII A" => "VIII-A")
+function fileSafe(text) {
+  return String(text).trim().replace(/[^A-Za-z0-9-]+/g, '-');
+}
+
+// Monthly attendance return for the office: roster with working, present
+// and absent days and percentage, plus class totals. ?term=1 limits it to
+// the term's months.
+api.get('/export/attendance', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const className = (req.query.class || '').trim();
+    const month = req.query.month ? (monthNumber(req.query.month) || parseInt(req.query.month)) : null;
+
+    if (!className) {
+      return res.status(400).json({ error: 'Class is required, e.g. ?class=VIII-A' });
+    }
+    if (req.query.month && !(month >= 1 && month <= 12)) {
+      return res.status(400).json({ error: 'Invalid month. Use a name like July or a number 1-12.' });
+    }
+    if (!canAccessClass(req.user, className)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
     }
+
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+
+    const workbook = await sessionQuery.cache.get();
+    const exported = buildAttendanceExport(workbook.data, {
+      className,
+      month,
+      threshold: ATTENDANCE_THRESHOLD,
+      calendar: getAcademicCalendar(),
+      session: sessionQuery.session,
+      term: sessionQuery.term
+    });
+
+    if (exported.students === 0) {
+      return res.status(404).json({ error: `No students found in class ${className}` });
+    }
+
+    const period = month
+      ? new Date(2000, month - 1, 1).toLocaleString('en-US', { month: 'long' }).toLowerCase()
+      : `${sessionQuery.session}${sessionQuery.term ? `-term${sessionQuery.term}` : ''}`;
+    sendExport(req, res, exported, `attendance-${fileSafe(className)}-${period}`);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to export attendance');
   }
-  
-  // Convert the map to an array
-  for (const key in testMap) {
-    const test = testMap[key];
-    // Only add tests that have a name and are not empty
-    if (test.name && test.name.trim() !== '') {
-      tests.push({
-        subject: capitalizeFirstLetter(test.subject.replace('_', ' ')),
-        name: test.name,
-        date: test.date || '',
-        maxMarks: !isNaN(test.maxMarks) ? test.maxMarks : 0,
-        marksObtained: !isNaN(test.marksObtained) ? test.marksObtained : 0,
-        percentage: !isNaN(test.percentage) ? test.percentage : 0,
-        grade: test.grade || ''
-      });
+});
+
+// Marks register for the office: every test of a class (or one subject)
+// with totals, percentages, grades and per-test class summaries. ?term=1
+// keeps the tests dated in that term.
+api.get('/export/marks', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const className = (req.query.class || '').trim();
+    const subject = (req.query.subject || '').trim();
+
+    if (!className) {
+      return res.status(400).json({ error: 'Class is required, e.g. ?class=VIII-A' });
+    }
+    if (!canAccessClass(req.user, className)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const sessionQuery = resolveSessionQuery(req, res);
+    if (!sessionQuery) return;
+
+    const workbook = await sessionQuery.cache.get();
+    const exported = buildMarksExport(workbook.data, {
+      className,
+      subject,
+      gradingScale: req.school.gradingScale,
+      calendar: getAcademicCalendar(),
+      term: sessionQuery.term
+    });
+
+    if (exported.students === 0) {
+      return res.status(404).json({ error: `No students found in class ${className}` });
     }
+
+    const filename = `marks-${fileSafe(className)}${subject ? `-${fileSafe(subject).toLowerCase()}` : ''}-${sessionQuery.session}` +
+      (sessionQuery.term ? `-term${sessionQuery.term}` : '');
+    sendExport(req, res, exported, filename);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to export marks');
   }
-  
-  return tests;
-}
+});
 
-// Process horizontally structured corrections data
-function processHorizontalCorrections(studentRow, headers) {
-  if (!studentRow) return [];
-  
-  const corrections = [];
-  // Format expected: subject_correction1, subject_correction1_date, subject_correction1_improvements, subject_correction1_remarks
-  
-  // First, identify all subjects and corrections
-  const correctionMap = {};
-  
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    // Look for subject_correctionN pattern
-    const match = header.match(/^([a-z]+)_correction(\d+)$/);
-    if (match) {
-      const subject = match[1];
-      const correctionNum = match[2];
-      const correctionKey = `${subject}_correction${correctionNum}`;
-      
-      if (!correctionMap[correctionKey]) {
-        correctionMap[correctionKey] = { subject: subject };
-      }
-      
-      correctionMap[correctionKey].copyType = studentRow[i];
-      
-      // Look for related fields
-      const dateIndex = headers.findIndex(h => h.toLowerCase() === `${correctionKey}_date`);
-      const improvementsIndex = headers.findIndex(h => h.toLowerCase() === `${correctionKey}_improvements`);
-      const remarksIndex = headers.findIndex(h => h.toLowerCase() === `${correctionKey}_remarks`);
-      
-      if (dateIndex !== -1) correctionMap[correctionKey].date = studentRow[dateIndex];
-      if (improvementsIndex !== -1) correctionMap[correctionKey].improvements = studentRow[improvementsIndex];
-      if (remarksIndex !== -1) correctionMap[correctionKey].remarks = studentRow[remarksIndex];
+// Students below the attendance threshold, with declining attendance,
+// or with overdue pending assignments
+api.get('/alerts/attendance', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const className = (req.query.class || '').trim();
+
+    // Teachers only see their own classes; admins may list the whole school
+    if (req.user.role === 'teacher' && !className) {
+      return res.status(400).json({ error: 'Class is required, e.g. ?class=VIII-A' });
+    }
+    if (className && !canAccessClass(req.user, className)) {
+      return res.status(403).json({ error: 'You do not have access to this class' });
+    }
+
+    const threshold = req.query.threshold !== undefined
+      ? parseFloat(req.query.threshold)
+      : ATTENDANCE_THRESHOLD;
+
+    if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+      return res.status(400).json({ error: 'Invalid threshold. Must be a percentage between 0 and 100.' });
     }
+
+    const calendar = getAcademicCalendar();
+    const workbook = await req.school.workbookCache.get();
+    const alerts = buildAttendanceAlerts(workbook.data, {
+      threshold,
+      declineMonths: ATTENDANCE_DECLINE_MONTHS,
+      className,
+      session: sessionStart(sessionForDate(new Date(), calendar), calendar)
+    });
+
+    alerts.dataAsOf = workbook.fetchedAt.toISOString();
+    res.json(alerts);
+  } catch (error) {
+    sendError(req, res, error, 'Failed to build attendance alerts');
   }
-  
-  // Convert the map to an array
-  for (const key in correctionMap) {
-    const correction = correctionMap[key];
-    // Only add corrections that have a copyType and are not empty
-    if (correction.copyType && correction.copyType.trim() !== '') {
-      corrections.push({
-        subject: capitalizeFirstLetter(correction.subject.replace('_', ' ')),
-        copyType: correction.copyType,
-        date: correction.date || '',
-        improvements: correction.improvements || '',
-        remarks: correction.remarks || ''
-      });
+});
+
+// Schema sheets and any of their headers the schema doesn't recognise
+api.get('/admin/schema', requireRole('admin'), async (req, res) => {
+  try {
+    const workbook = await req.school.workbookCache.get();
+    const sheets = indexSheetsByName(workbook.data);
+
+    const schemas = getSheetSchemas().map(schema => {
+      const headers = getSheet(sheets, schema.sheet).values[0] || [];
+      return {
+        ...schema,
+        unmatchedHeaders: findUnmatchedHeaders(headers, schema)
+      };
+    });
+
+    res.json({ schemas, dataAsOf: workbook.fetchedAt.toISOString() });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to check sheet schemas');
+  }
+});
+
+// Data-entry problems across every sheet, for whoever maintains the spreadsheet
+api.get('/admin/validate', requireRole('teacher', 'admin'), async (req, res) => {
+  try {
+    const workbook = await req.school.workbookCache.get();
+    const result = validateWorkbook(workbook.data, { admissionNumber: req.school.admissionNumber });
+    let issues = result.issues;
+
+    // Teachers only see issues for students in their classes (plus sheet-wide ones)
+    if (req.user.role === 'teacher') {
+      const studentsSheet = getSheet(indexSheetsByName(workbook.data), 'Students');
+      const classRows = [].concat(...req.user.classes.map(className =>
+        findStudentsByClass(studentsSheet.values, studentsSheet.values[0] || [], className)));
+      const admissionIndex = (studentsSheet.values[0] || []).findIndex(h => h.toLowerCase() === 'admission_no');
+      const ownStudents = new Set(classRows.map(row => row[admissionIndex]));
+
+      issues = issues.filter(issue => !issue.admissionNo || ownStudents.has(issue.admissionNo));
     }
+
+    if (req.query.sheet) {
+      issues = issues.filter(issue => issue.sheet.toLowerCase() === String(req.query.sheet).toLowerCase());
+    }
+    if (req.query.severity) {
+      issues = issues.filter(issue => issue.severity === req.query.severity);
+    }
+
+    res.json({
+      summary: {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+      },
+      issues,
+      dataAsOf: workbook.fetchedAt.toISOString()
+    });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to validate sheets');
   }
+});
+
+// Session, terms and holidays for the frontend's filters
+api.get('/academic-calendar', (req, res) => {
+  const calendar = getAcademicCalendar();
+  const currentSession = sessionForDate(new Date(), calendar);
   
-  return corrections;
-}
+  res.json({
+    currentSession,
+    sessions: [currentSession, ...Object.keys(req.school.getSessions(calendar)).filter(s => s !== currentSession)],
+    sessionStartMonth: calendar.sessionStartMonth,
+    terms: calendar.terms,
+    holidays: calendar.holidays
+  });
+});
 
-// Process horizontally structured attendance data
-function processHorizontalAttendance(studentRow, headers) {
-  if (!studentRow) return [];
+// Run a write API request: checks the data source can be written and the
+// teacher has the class, then sends the writer's result or error
+async function handleWrite(req, res, write) {
+  const className = String((req.body || {}).class || '').trim();
   
-  // Process all month columns
-  // Format expected: month_working, month_present, month_absent, month_percent
-  const attendance = [];
-  const workingSuffix = '_working';
-  const presentSuffix = '_present';
-  const absentSuffix = '_absent';
-  const percentSuffix = '_percent';
+  const { dataSource } = req.school;
   
-  for (let i = 0; i < headers.length; i++) {
-    const header = headers[i].toLowerCase();
-    
-    if (header.endsWith(workingSuffix)) {
-      const month = header.substring(0, header.length - workingSuffix.length);
-      const workingDays = parseInt(studentRow[i] || 0);
-      
-      // Find matching columns
-      const presentIndex = headers.findIndex(h => h.toLowerCase() === `${month}${presentSuffix}`);
-      const absentIndex = headers.findIndex(h => h.toLowerCase() === `${month}${absentSuffix}`);
-      const percentIndex = headers.findIndex(h => h.toLowerCase() === `${month}${percentSuffix}`);
-      
-      const present = presentIndex !== -1 ? parseInt(studentRow[presentIndex] || 0) : 0;
-      const absent = absentIndex !== -1 ? parseInt(studentRow[absentIndex] || 0) : 0;
-      const percentage = percentIndex !== -1 ? parseFloat(studentRow[percentIndex] || 0) : 0;
-      
-      // Only add months that have working days
-      if (!isNaN(workingDays) && workingDays > 0) {
-        attendance.push({
-          month: capitalizeFirstLetter(month),
-          workingDays: workingDays,
-          present: present,
-          absent: absent,
-          percentage: percentage
-        });
-      }
-    }
+  if (!dataSource.writable) {
+    return res.status(503).json({ error: `The ${dataSource.name} data source is not set up for writing` });
+  }
+  if (!className) {
+    return res.status(400).json({ error: 'Class is required' });
+  }
+  if (!canAccessClass(req.user, className)) {
+    return res.status(403).json({ error: 'You do not have access to this class' });
   }
   
-  return attendance;
+  try {
+    res.json(await write(className));
+  } catch (error) {
+    sendError(req, res, error, 'Failed to save changes');
+  }
 }
 
-// Helper function to find a student by admission number
-function findStudentByAdmissionNo(values, headers, admissionNo) {
-  const admissionIndex = headers.findIndex(h => h.toLowerCase() === 'admission_no');
-  if (admissionIndex === -1) return null;
-  
-  // Skip header row (index 0) and find student
-  for (let i = 1; i < values.length; i++) {
-    if (values[i] && values[i][admissionIndex] === admissionNo) {
-      return values[i];
-    }
+// Mark a day's attendance: { class, date: "DD-MM-YYYY", absentees: [admissionNo] }
+api.post('/attendance', requireRole('teacher', 'admin'), (req, res) => {
+  handleWrite(req, res, className => req.school.sheetWriter.markAttendance({
+    user: req.user,
+    className,
+    date: req.body.date,
+    absentees: req.body.absentees || [],
+    onLeave: req.body.onLeave || []
+  }));
+});
+
+// Record a test: { class, subject, testName, date, maxMarks, marks: [{ admissionNo, marksObtained }] }
+api.post('/tests', requireRole('teacher', 'admin'), (req, res) => {
+  handleWrite(req, res, className => req.school.sheetWriter.recordTest({
+    user: req.user,
+    className,
+    subject: req.body.subject,
+    testName: req.body.testName,
+    date: req.body.date,
+    maxMarks: req.body.maxMarks,
+    marks: req.body.marks
+  }));
+});
+
+// Update assignment status: { class, subject, number, updates: [{ admissionNo, status, remarks }] }
+api.patch('/assignments', requireRole('teacher', 'admin'), (req, res) => {
+  handleWrite(req, res, className => req.school.sheetWriter.updateAssignments({
+    user: req.user,
+    className,
+    subject: req.body.subject,
+    number: req.body.number,
+    updates: req.body.updates
+  }));
+});
+
+// Dry run of parent notifications: the messages the next run would send
+api.get('/admin/notifications/preview', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await req.school.notifier.preview());
+  } catch (error) {
+    sendError(req, res, error, 'Failed to preview notifications');
   }
-  
-  return null;
-}
+});
 
-// Helper function to get a value by header name
-function getValueByHeader(row, headers, headerName) {
-  const index = headers.findIndex(h => h.toLowerCase() === headerName.toLowerCase());
-  return index !== -1 ? (row[index] || '') : '';
-}
+// Check for changes and send parent notifications now
+api.post('/admin/notifications/run', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await req.school.notifier.run());
+  } catch (error) {
+    sendError(req, res, error, 'Failed to send notifications');
+  }
+});
+
+// Who changed what through the write API, newest first
+api.get('/admin/audit-log', requireRole('admin'), async (req, res) => {
+  try {
+    const entries = await req.school.auditLog.read({
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000),
+      action: req.query.action,
+      className: req.query.class,
+      user: req.query.user
+    });
+    res.json({ entries });
+  } catch (error) {
+    sendError(req, res, error, 'Failed to read audit log');
+  }
+});
+
+// One school's status
+api.get('/status', (req, res) => {
+  res.json({
+    status: 'online',
+    ...req.school.getStatus()
+  });
+});
 
-// Utility function to capitalize first letter
-function capitalizeFirstLetter(string) {
-  return string.charAt(0).toUpperCase() + string.slice(1);
+// Use the school named in the path (/api/<school>/...) or the default school
+function forSchool(findSchool) {
+  return (req, res, next) => {
+    const school = findSchool(req);
+    if (!school) return next();
+    req.school = school;
+    api(req, res, next);
+  };
 }
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Google Sheets ID configured: ${Boolean(GOOGLE_SHEETS_ID)}`);
-  console.log(`Google Sheets API Key configured: ${Boolean(GOOGLE_SHEETS_API_KEY)}`);
+// API status endpoint: the default school's details as before, plus the
+// health of every school
+app.get('/api/status', (req, res) => {
+  res.json({ 
+    status: 'online',
+    message: 'Student Portfolio API is running',
+    ...(defaultSchool ? defaultSchool.getStatus() : {}),
+    sheetsConfigured: Boolean(GOOGLE_SHEETS_ID && GOOGLE_SHEETS_API_KEY),
+    schools: schools.map(school => school.getHealth())
+  });
 });
 
+app.use('/api/:school', forSchool(req => schools.find(school => school.code === req.params.school)));
+app.use('/api', forSchool(() => defaultSchool));
+
+// Unknown API routes get a JSON 404 rather than Express's HTML page
+app.use('/api', (req, res) => {
+  const hint = defaultSchool ? '' : `. Use /api/<school>/... with one of: ${schools.map(school => school.code).join(', ')}`;
+  res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}${hint}` });
+});
+
+// Errors passed to next(), e.g. a request body that isn't valid JSON
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+  if (status === 500) console.error(`[${req.id}] Unhandled error:`, error);
+  res.status(status).json({ error: status === 500 ? 'Internal server error' : error.message });
+});
+
+// What server.js needs to start up and schedule notifications
+app.locals.schools = schools;
+app.locals.defaultSchool = defaultSchool;
+app.locals.notifyIntervalMinutes = NOTIFY_INTERVAL_MINUTES;
+
 module.exports = app;
+
+// `node app.js` still starts the server, as it did before server.js
+if (require.main === module) {
+  require('./server');
+}
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSheetDate, calculateOverallAttendance, getRecentTests } = require('./sheetProcessors');
+const { isScored } = require('./grading');
+
+// Academic calendar: when the session starts, how it splits into terms,
+// holidays, and where older sessions' data lives.
+//
+//   sessionStartMonth - 1-12, April (4) for KVs
+//   terms             - [{ term, name, startMonth, endMonth }], months 1-12,
+//                       a term may wrap the year end (10 to 3)
+//   holidays          - [{ date: "DD-MM-YYYY", name }]
+//   sessions          - older sessions by name ("2024-25") and where to read
+//                       them: { sheetPrefix } for tabs like "2024-25 Students"
+//                       in the same workbook, or { dataSource: {...} } with
+//                       DATA_SOURCE / GOOGLE_SHEETS_ID style settings for a
+//                       separate spreadsheet or file
+
+const DEFAULT_CALENDAR_FILE = path.join(__dirname, '..', 'config', 'academicCalendar.json');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+let loadedCalendar = null;
+
+// Read and check a calendar file
+function loadAcademicCalendar(file) {
+  const calendar = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const startMonth = calendar.sessionStartMonth || 4;
+
+  if (startMonth < 1 || startMonth > 12) {
+    throw new Error(`Academic calendar ${file}: sessionStartMonth must be 1-12`);
+  }
+  (calendar.terms || []).forEach(term => {
+    if (!term.term || !(term.startMonth >= 1 && term.startMonth <= 12) || !(term.endMonth >= 1 && term.endMonth <= 12)) {
+      throw new Error(`Academic calendar ${file}: every term needs a term number, startMonth and endMonth (1-12)`);
+    }
+  });
+
+  return {
+    sessionStartMonth: startMonth,
+    terms: calendar.terms || [],
+    holidays: calendar.holidays || [],
+    sessions: calendar.sessions || {}
+  };
+}
+
+// Calendar in use, loaded once from ACADEMIC_CALENDAR_FILE or the bundled config
+function getAcademicCalendar() {
+  if (!loadedCalendar) {
+    loadedCalendar = loadAcademicCalendar(process.env.ACADEMIC_CALENDAR_FILE || DEFAULT_CALENDAR_FILE);
+  }
+  return loadedCalendar;
+}
+
+// Month number (1-12) from a name or abbreviation ("April", "apr"), or null
+function monthNumber(name) {
+  const key = String(name || '').trim().toLowerCase().substring(0, 3);
+  const index = MONTHS.findIndex(month => month.startsWith(key));
+  return key.length === 3 && index !== -1 ? index + 1 : null;
+}
+
+// Position of a month within the session (0 for the first month)
+function sessionMonthIndex(month, calendar) {
+  return (month - calendar.sessionStartMonth + 12) % 12;
+}
+
+// Session name ("2025-26") containing a date
+function sessionForDate(date, calendar) {
+  const month = date.getMonth() + 1;
+  const startYear = month >= calendar.sessionStartMonth ? date.getFullYear() : date.getFullYear() - 1;
+  return formatSession(startYear, calendar);
+}
+
+function formatSession(startYear, calendar) {
+  // A session starting in January fits inside one calendar year
+  if (calendar.sessionStartMonth === 1) return String(startYear);
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+// First calendar year of a session name, or null when it isn't one
+function parseSession(session) {
+  const match = String(session || '').trim().match(/^(\d{4})(?:-(\d{2}|\d{4}))?$/);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Start of a session as processStudentData() takes it: { startYear, startMonth }
+function sessionStart(session, calendar) {
+  return { startYear: parseSession(session), startMonth: calendar.sessionStartMonth };
+}
+
+// Calendar year of a month within a session
+function yearForMonth(month, startYear, calendar) {
+  return month >= calendar.sessionStartMonth ? startYear : startYear + 1;
+}
+
+// Term containing a month (1-12), or null
+function termForMonth(month, calendar) {
+  return calendar.terms.find(term => {
+    const start = sessionMonthIndex(term.startMonth, calendar);
+    const end = sessionMonthIndex(term.endMonth, calendar);
+    const index = sessionMonthIndex(month, calendar);
+    return index >= start && index <= end;
+  }) || null;
+}
+
+// Whether a date falls inside a session (and term, when given)
+function isInSessionTerm(date, startYear, term, calendar) {
+  if (!date) return false;
+  if (sessionForDate(date, calendar) !== formatSession(startYear, calendar)) return false;
+  if (!term) return true;
+  const dateTerm = termForMonth(date.getMonth() + 1, calendar);
+  return Boolean(dateTerm) && dateTerm.term === term.term;
+}
+
+// Reorder, annotate and filter one student's data (a processStudentData
+// response) for a session and optional term:
+// - attendance months in session order, each with its year and term
+// - attendance and tests limited to the term when one is given
+// - per-term attendance and test aggregates
+function applyAcademicCalendar(studentData, { calendar, session, term }) {
+  const startYear = parseSession(session);
+  const selectedTerm = term ? calendar.terms.find(t => String(t.term) === String(term)) : null;
+
+  // Months in session order; unrecognised month names keep sheet order at the end
+  const attendance = studentData.attendance
+    .map((month, index) => {
+      const number = monthNumber(month.month);
+      const monthTerm = number ? termForMonth(number, calendar) : null;
+      return {
+        ...month,
+        year: number ? yearForMonth(number, startYear, calendar) : null,
+        term: monthTerm ? monthTerm.term : null,
+        order: number ? sessionMonthIndex(number, calendar) : 12 + index
+      };
+    })
+    .sort((a, b) => a.order - b.order)
+    .map(({ order, ...month }) => month);
+
+  // Tests belong to a term by their date; undated tests only show unfiltered
+  const tests = studentData.tests.map(test => {
+    const date = parseSheetDate(test.date);
+    const testTerm = date ? termForMonth(date.getMonth() + 1, calendar) : null;
+    return { ...test, term: testTerm ? testTerm.term : null };
+  });
+
+  const termSummary = calendar.terms.map(t => summarizeTerm(t, attendance, tests));
+
+  const filteredAttendance = selectedTerm ? attendance.filter(month => month.term === selectedTerm.term) : attendance;
+  const filteredTests = selectedTerm ? tests.filter(test => test.term === selectedTerm.term) : tests;
+  const overallAttendance = calculateOverallAttendance(filteredAttendance);
+
+  return {
+    ...studentData,
+    session: formatSession(startYear, calendar),
+    term: selectedTerm ? selectedTerm.term : null,
+    recentTests: getRecentTests(filteredTests),
+    tests: filteredTests,
+    // Per-subject groups hold the same (term-filtered) tests
+    subjects: (studentData.subjects || []).map(group => ({
+      ...group,
+      tests: filteredTests.filter(test => test.subjectId === group.subjectId)
+    })),
+    attendance: filteredAttendance,
+    summary: {
+      ...studentData.summary,
+      attendancePercentage: `${overallAttendance.toFixed(1)}%`
+    },
+    termSummary,
+    holidays: calendar.holidays.filter(holiday =>
+      isInSessionTerm(parseSheetDate(holiday.date), startYear, selectedTerm, calendar))
+  };
+}
+
+// Attendance and test aggregates for one term
+function summarizeTerm(term, attendance, tests) {
+  const termAttendance = attendance.filter(month => month.term === term.term);
+  // Tests without marks entered yet are left out of the average
+  const termTests = tests.filter(test => test.term === term.term && isScored(test));
+  const workingDays = termAttendance.reduce((sum, month) => sum + month.workingDays, 0);
+  const present = termAttendance.reduce((sum, month) => sum + (isNaN(month.present) ? 0 : month.present), 0);
+
+  return {
+    term: term.term,
+    name: term.name,
+    attendance: {
+      months: termAttendance.length,
+      workingDays,
+      present,
+      percentage: Math.round(calculateOverallAttendance(termAttendance) * 10) / 10
+    },
+    tests: {
+      count: termTests.length,
+      averagePercentage: termTests.length > 0
+        ? Math.round(termTests.reduce((sum, test) => sum + test.percentage, 0) / termTests.length * 10) / 10
+        : null
+    }
+  };
+}
+
+// Prefix every range's sheet name for an older session kept in the same
+// workbook ("Students!A:Z" => "'2024-25 Students'!A:Z")
+function prefixRanges(ranges, prefix) {
+  return ranges.map(range => {
+    const separator = range.lastIndexOf('!');
+    const sheetName = range.substring(0, separator);
+    return `'${(prefix + sheetName).replace(/'/g, "''")}'${range.substring(separator)}`;
+  });
+}
+
+// Undo prefixRanges() on a batchGet response so the processors find
+// "Students", "Tests", ... as usual
+function stripRangePrefix(sheetsData, prefix) {
+  return {
+    ...sheetsData,
+    valueRanges: (sheetsData.valueRanges || []).map(valueRange => {
+      const separator = valueRange.range.lastIndexOf('!');
+      const sheetName = valueRange.range.substring(0, separator).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+      const unprefixed = sheetName.startsWith(prefix) ? sheetName.substring(prefix.length) : sheetName;
+      return { ...valueRange, range: `'${unprefixed.replace(/'/g, "''")}'${valueRange.range.substring(separator)}` };
+    }),
+    missingSheets: (sheetsData.missingSheets || []).map(sheetName =>
+      sheetName.startsWith(prefix) ? sheetName.substring(prefix.length) : sheetName)
+  };
+}
+
+module.exports = {
+  loadAcademicCalendar,
+  getAcademicCalendar,
+  monthNumber,
+  sessionForDate,
+  parseSession,
+  formatSession,
+  sessionStart,
+  termForMonth,
+  applyAcademicCalendar,
+  prefixRanges,
+  stripRangePrefix
+};
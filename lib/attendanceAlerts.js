@@ -0,0 +1,161 @@
+const {
+  processHorizontalAttendance,
+  processHorizontalAssignments,
+  sortAttendanceMonths,
+  calculateOverallAttendance,
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  readOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { getSheetSchema } = require('./sheetSchema');
+const { findStudentsByClass } = require('./classReport');
+
+// Cumulative attendance status of one student against the threshold (in %)
+function getAttendanceStatus(attendance, threshold) {
+  const workingDays = attendance.reduce((sum, month) => sum + month.workingDays, 0);
+  const present = attendance.reduce((sum, month) => sum + (isNaN(month.present) ? 0 : month.present), 0);
+  const percentage = calculateOverallAttendance(attendance);
+
+  return {
+    workingDays,
+    present,
+    percentage: Math.round(percentage * 10) / 10,
+    threshold,
+    belowThreshold: workingDays > 0 && percentage < threshold,
+    daysNeeded: calculateDaysNeeded(present, workingDays, threshold)
+  };
+}
+
+// Number of further consecutive days a student must attend to reach the
+// threshold, assuming every future working day is attended.
+// Returns 0 when already at/above it, and null when it can never be reached.
+function calculateDaysNeeded(present, workingDays, threshold) {
+  const target = threshold / 100;
+  if (workingDays === 0 || present / workingDays >= target) return 0;
+  if (target >= 1) return null;
+
+  // (present + n) / (workingDays + n) >= target
+  return Math.ceil((target * workingDays - present) / (1 - target));
+}
+
+// Find the latest run of months where attendance dropped month on month,
+// taking the months in order of a session starting at sessionStartMonth.
+// Returns the months in the run when it has at least `minDeclines` drops.
+function findDecliningAttendance(attendance, minDeclines, sessionStartMonth) {
+  const months = sortAttendanceMonths(attendance, sessionStartMonth);
+  let run = months.length > 0 ? [months[0]] : [];
+
+  for (let i = 1; i < months.length; i++) {
+    if (months[i].percentage < months[i - 1].percentage) {
+      run.push(months[i]);
+    } else {
+      run = [months[i]];
+    }
+  }
+
+  if (run.length - 1 < minDeclines) return null;
+
+  return run.map(month => ({ month: month.month, percentage: month.percentage }));
+}
+
+// Pending assignments whose due date has already passed
+function findOverdueAssignments(assignments, today) {
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+  return assignments
+    .filter(assignment => {
+      const dueDate = parseSheetDate(assignment.dueDate);
+      return assignment.status === 'pending' && dueDate && dueDate < startOfToday;
+    })
+    .map(assignment => ({
+      subject: assignment.subject,
+      name: assignment.name,
+      dueDate: assignment.dueDate,
+      daysOverdue: Math.round((startOfToday - parseSheetDate(assignment.dueDate)) / (24 * 60 * 60 * 1000))
+    }));
+}
+
+// Build alerts for every student (or one class) in the workbook.
+// Options: threshold (%), declineMonths, className, today and session
+// ({ startYear, startMonth }, see processStudentData)
+//
+// Without an Attendance or Assignments sheet those alerts are left out and
+// the sheet is listed in `warnings`.
+function buildAttendanceAlerts(sheetsData, options) {
+  const { threshold, declineMonths, className, session } = options;
+  const today = options.today || new Date();
+  const warnings = [];
+
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const assignmentsSheet = readOptionalSheet(sheets, getSheetSchema('assignments').sheet, warnings);
+  const attendanceSheet = readOptionalSheet(sheets, 'Attendance', warnings);
+
+  const studentsHeaders = studentsSheet.values[0];
+  const assignmentsHeaders = assignmentsSheet.values[0];
+  const attendanceHeaders = attendanceSheet.values[0];
+
+  const studentRows = className
+    ? findStudentsByClass(studentsSheet.values, studentsHeaders, className)
+    : studentsSheet.values.slice(1).filter(row => row && row.length > 0);
+
+  const students = [];
+
+  studentRows.forEach(studentRow => {
+    const admissionNo = getValueByHeader(studentRow, studentsHeaders, 'admission_no');
+
+    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNo);
+    const assignmentsRow = findStudentByAdmissionNo(assignmentsSheet.values, assignmentsHeaders, admissionNo);
+
+    const attendance = processHorizontalAttendance(attendanceRow, attendanceHeaders, [], session);
+    const assignments = processHorizontalAssignments(assignmentsRow, assignmentsHeaders);
+
+    const status = getAttendanceStatus(attendance, threshold);
+    const decliningMonths = findDecliningAttendance(attendance, declineMonths, session && session.startMonth);
+    const overdueAssignments = findOverdueAssignments(assignments, today);
+
+    const alerts = [];
+    if (status.belowThreshold) alerts.push('low_attendance');
+    if (decliningMonths) alerts.push('declining_attendance');
+    if (overdueAssignments.length > 0) alerts.push('overdue_assignments');
+
+    if (alerts.length === 0) return;
+
+    students.push({
+      admissionNo,
+      name: getValueByHeader(studentRow, studentsHeaders, 'name'),
+      class: getValueByHeader(studentRow, studentsHeaders, 'class'),
+      rollNo: getValueByHeader(studentRow, studentsHeaders, 'roll_no'),
+      alerts,
+      attendance: status,
+      decliningMonths: decliningMonths || [],
+      overdueAssignments
+    });
+  });
+
+  // Lowest attendance first
+  students.sort((a, b) => a.attendance.percentage - b.attendance.percentage);
+
+  return {
+    threshold,
+    studentsChecked: studentRows.length,
+    totals: {
+      lowAttendance: students.filter(s => s.alerts.includes('low_attendance')).length,
+      decliningAttendance: students.filter(s => s.alerts.includes('declining_attendance')).length,
+      overdueAssignments: students.filter(s => s.alerts.includes('overdue_assignments')).length
+    },
+    students,
+    warnings
+  };
+}
+
+module.exports = {
+  getAttendanceStatus,
+  calculateDaysNeeded,
+  findDecliningAttendance,
+  findOverdueAssignments,
+  buildAttendanceAlerts
+};
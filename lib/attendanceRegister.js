@@ -0,0 +1,156 @@
+const {
+  processDailyAttendance,
+  indexSheetsByName,
+  getSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { sessionForDate, termForMonth } = require('./academicCalendar');
+const { studentNotFound } = require('./errors');
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Calendar view of one student's day-wise attendance register (date
+// columns in the Attendance sheet) for a session and optional term.
+// Unlike the monthly `attendance` shape, `absent` here counts unexplained
+// absences only and `leave` the days on leave.
+function buildAttendanceCalendar(sheetsData, admissionNumber, { calendar, session, term }) {
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const attendanceSheet = getSheet(sheets, 'Attendance');
+  const studentsHeaders = studentsSheet.values[0];
+  const attendanceHeaders = attendanceSheet.values[0];
+
+  const studentRow = findStudentByAdmissionNo(studentsSheet.values, studentsHeaders, admissionNumber);
+  if (!studentRow) {
+    throw studentNotFound(admissionNumber);
+  }
+
+  const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNumber);
+  const selectedTerm = term ? calendar.terms.find(t => String(t.term) === String(term)) : null;
+
+  const days = processDailyAttendance(attendanceRow, attendanceHeaders)
+    .filter(day => sessionForDate(day.dateValue, calendar) === session)
+    .map(day => {
+      const dayTerm = termForMonth(day.dateValue.getMonth() + 1, calendar);
+      return { ...day, weekday: WEEKDAYS[day.dateValue.getDay()], term: dayTerm ? dayTerm.term : null };
+    })
+    .filter(day => !selectedTerm || day.term === selectedTerm.term);
+
+  return {
+    studentInfo: {
+      name: getValueByHeader(studentRow, studentsHeaders, 'name'),
+      class: getValueByHeader(studentRow, studentsHeaders, 'class'),
+      admissionNo: getValueByHeader(studentRow, studentsHeaders, 'admission_no')
+    },
+    session,
+    term: selectedTerm ? selectedTerm.term : null,
+    totals: countDays(days),
+    streaks: findStreaks(days),
+    weekdayAbsences: countWeekdayAbsences(days),
+    months: groupByMonth(days)
+  };
+}
+
+// Present/absent/leave/holiday counts and the attendance percentage
+function countDays(days) {
+  const count = status => days.filter(day => day.status === status).length;
+  const present = count('present');
+  const workingDays = days.length - count('holiday');
+
+  return {
+    workingDays,
+    present,
+    absent: count('absent'),
+    leave: count('leave'),
+    holidays: count('holiday'),
+    percentage: workingDays > 0 ? Math.round((present / workingDays) * 1000) / 10 : 0
+  };
+}
+
+// Runs of consecutive working days present, or away (absent or on leave).
+// Holidays don't break a run.
+function findStreaks(days) {
+  const runs = [];
+
+  days.filter(day => day.status !== 'holiday').forEach(day => {
+    const type = day.status === 'present' ? 'present' : 'away';
+    const last = runs[runs.length - 1];
+
+    if (last && last.type === type) {
+      last.days++;
+      last.to = day.date;
+    } else {
+      runs.push({ type, days: 1, from: day.date, to: day.date });
+    }
+  });
+
+  const longest = type => {
+    const run = runs
+      .filter(r => r.type === type)
+      .reduce((best, r) => (!best || r.days > best.days ? r : best), null);
+    return run ? { days: run.days, from: run.from, to: run.to } : null;
+  };
+  const current = runs[runs.length - 1];
+
+  return {
+    current: current ? { status: current.type === 'present' ? 'present' : 'absent', days: current.days, since: current.from } : null,
+    longestPresent: longest('present'),
+    longestAbsence: longest('away')
+  };
+}
+
+// Absences and leave per weekday, to spot patterns like regular Monday absences
+function countWeekdayAbsences(days) {
+  return WEEKDAYS
+    .map(weekday => {
+      const weekdayDays = days.filter(day => day.weekday === weekday && day.status !== 'holiday');
+      const absent = weekdayDays.filter(day => day.status === 'absent').length;
+      const leave = weekdayDays.filter(day => day.status === 'leave').length;
+
+      return {
+        weekday,
+        workingDays: weekdayDays.length,
+        absent,
+        leave,
+        absencePercentage: weekdayDays.length > 0
+          ? Math.round(((absent + leave) / weekdayDays.length) * 1000) / 10
+          : 0
+      };
+    })
+    .filter(weekday => weekday.workingDays > 0);
+}
+
+// Calendar months in date order, each with its days and counts
+function groupByMonth(days) {
+  const months = [];
+
+  days.forEach(day => {
+    const month = day.dateValue.toLocaleString('en-US', { month: 'long' });
+    const year = day.dateValue.getFullYear();
+    let group = months.find(m => m.month === month && m.year === year);
+    if (!group) {
+      group = { month, year, days: [] };
+      months.push(group);
+    }
+    group.days.push(day);
+  });
+
+  return months.map(group => ({
+    month: group.month,
+    year: group.year,
+    ...countDays(group.days),
+    days: group.days.map(day => ({
+      date: day.date,
+      weekday: day.weekday,
+      code: day.code,
+      status: day.status
+    }))
+  }));
+}
+
+module.exports = {
+  buildAttendanceCalendar,
+  findStreaks,
+  countWeekdayAbsences
+};
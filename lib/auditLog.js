@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Append-only audit log of changes made through the write API, stored as
+// one JSON object per line
+function createAuditLog({ file }) {
+  // Record a change: { user, role, action, class, details, cellsChanged }
+  async function record(entry) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...entry });
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${line}\n`);
+  }
+
+  // All entries, oldest first
+  async function readAll() {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Most recent entries first, optionally filtered by action, class or user
+  async function read({ limit = 100, action, className, user } = {}) {
+    const entries = await readAll();
+    return entries
+      .filter(entry => !action || entry.action === action)
+      .filter(entry => !className || String(entry.class).toLowerCase() === className.toLowerCase())
+      .filter(entry => !user || entry.user === user)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  return { record, read, readAll };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const {
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { normalizeClassName } = require('./classReport');
+
+// Session tokens and role checks. Tokens carry one of three roles:
+//   student - a parent/student, may only read their own admission number
+//   teacher - staff with a list of classes they may read
+//   admin   - staff with access to every class and the admin endpoints
+//
+// Options: secret (JWT signing key), tokenTtl (e.g. "12h"), staffFile
+// (JSON list of { username, passwordHash, role, classes }), school (code
+// of the school the tokens are for; a token from one school is refused
+// by every other, even though they share the signing key)
+function createAuth({ secret, tokenTtl, staffFile, school }) {
+  const staffAccounts = staffFile ? loadStaffAccounts(staffFile) : [];
+
+  function issueToken(user) {
+    return jwt.sign({ ...user, school }, secret, { expiresIn: tokenTtl });
+  }
+
+  // Express middleware requiring a valid bearer token with one of `roles`.
+  // The decoded token is available as req.user.
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      const header = req.headers.authorization || '';
+      const match = header.match(/^Bearer\s+(.+)$/i);
+
+      if (!match) {
+        return res.status(401).json({ error: 'Login required' });
+      }
+
+      try {
+        req.user = jwt.verify(match[1], secret);
+      } catch (error) {
+        return res.status(401).json({ error: 'Session expired or invalid. Please log in again.' });
+      }
+
+      if (req.user.school !== school) {
+        return res.status(403).json({ error: 'This login is for a different school' });
+      }
+
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ error: 'You do not have access to this resource' });
+      }
+
+      next();
+    };
+  }
+
+  // Check a staff username and password, returning the token payload or null
+  function authenticateStaff(username, password) {
+    const account = staffAccounts.find(a => a.username.toLowerCase() === String(username || '').toLowerCase());
+
+    // Still do the hashing work for unknown users so timing doesn't reveal them
+    const valid = verifyPassword(String(password || ''), account ? account.passwordHash : null);
+    if (!account || !valid) return null;
+
+    return {
+      sub: account.username,
+      role: account.role,
+      name: account.name || account.username,
+      classes: account.classes || []
+    };
+  }
+
+  return {
+    issueToken,
+    requireRole,
+    authenticateStaff,
+    staffConfigured: staffAccounts.length > 0
+  };
+}
+
+// Read and check the staff accounts file
+function loadStaffAccounts(file) {
+  const accounts = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  accounts.forEach(account => {
+    if (!account.username || !account.passwordHash || !['teacher', 'admin'].includes(account.role)) {
+      throw new Error(`Staff account ${account.username || '(unnamed)'} needs a username, passwordHash and a teacher or admin role`);
+    }
+  });
+
+  return accounts;
+}
+
+// Check a student login (admission number plus DOB or PIN) against the
+// Students sheet, returning the token payload or null
+function authenticateStudent(sheetsData, admissionNo, { dob, pin }) {
+  const studentsSheet = getSheet(indexSheetsByName(sheetsData), 'Students');
+  const headers = studentsSheet.values[0];
+  const studentRow = findStudentByAdmissionNo(studentsSheet.values, headers, admissionNo);
+  if (!studentRow) return null;
+
+  let valid = false;
+
+  if (pin) {
+    const storedPin = getValueByHeader(studentRow, headers, 'pin');
+    valid = storedPin !== '' && safeEqual(String(pin).trim(), storedPin.trim());
+  } else if (dob) {
+    const storedDob = parseSheetDate(getValueByHeader(studentRow, headers, 'dob'));
+    const givenDob = parseLoginDate(dob);
+    valid = Boolean(storedDob && givenDob && storedDob.getTime() === givenDob.getTime());
+  }
+
+  if (!valid) return null;
+
+  return {
+    sub: admissionNo,
+    role: 'student',
+    name: getValueByHeader(studentRow, headers, 'name'),
+    class: getValueByHeader(studentRow, headers, 'class')
+  };
+}
+
+// DOB as typed by parents (DD-MM-YYYY, DD/MM/YYYY) or sent by a date input (YYYY-MM-DD)
+function parseLoginDate(value) {
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (iso) return parseSheetDate(`${iso[3]}-${iso[2]}-${iso[1]}`);
+  return parseSheetDate(text.replace(/[/.]/g, '-'));
+}
+
+// Whether a token payload may read data for a class
+function canAccessClass(user, className) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'teacher') {
+    return (user.classes || []).some(c => normalizeClassName(c) === normalizeClassName(className));
+  }
+  return false;
+}
+
+// Hash a staff password for the staff accounts file ("scrypt$salt$hash")
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [scheme, salt, hash] = String(passwordHash || 'scrypt$$').split('$');
+  const candidate = crypto.scryptSync(password, salt || 'missing', 64).toString('hex');
+  return scheme === 'scrypt' && Boolean(hash) && safeEqual(candidate, hash);
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+module.exports = {
+  createAuth,
+  authenticateStudent,
+  canAccessClass,
+  hashPassword,
+  verifyPassword
+};
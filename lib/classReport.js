@@ -0,0 +1,188 @@
+const {
+  processHorizontalAttendance,
+  processHorizontalTests,
+  processHorizontalAssignments,
+  calculateOverallAttendance,
+  indexSheetsByName,
+  getSheet,
+  readOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { getSheetSchema } = require('./sheetSchema');
+const { isScored } = require('./grading');
+
+// Build the attendance and performance report for every student in a class.
+// Sheets other than Students may be missing: their figures are left empty
+// and the sheet is listed in `warnings`.
+// Options: session ({ startYear, startMonth }), to limit register days to it
+function buildClassReport(sheetsData, className, { session } = {}) {
+  const warnings = [];
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const assignmentsSheet = readOptionalSheet(sheets, getSheetSchema('assignments').sheet, warnings);
+  const testsSheet = readOptionalSheet(sheets, getSheetSchema('tests').sheet, warnings);
+  const attendanceSheet = readOptionalSheet(sheets, 'Attendance', warnings);
+
+  const studentsHeaders = studentsSheet.values[0];
+  const assignmentsHeaders = assignmentsSheet.values[0];
+  const testsHeaders = testsSheet.values[0];
+  const attendanceHeaders = attendanceSheet.values[0];
+
+  const classRows = findStudentsByClass(studentsSheet.values, studentsHeaders, className);
+
+  // Run the existing horizontal processors for each student in the class
+  const students = classRows.map(studentRow => {
+    const admissionNo = getValueByHeader(studentRow, studentsHeaders, 'admission_no');
+
+    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNo);
+    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, admissionNo);
+    const assignmentsRow = findStudentByAdmissionNo(assignmentsSheet.values, assignmentsHeaders, admissionNo);
+
+    return {
+      admissionNo,
+      name: getValueByHeader(studentRow, studentsHeaders, 'name'),
+      rollNo: getValueByHeader(studentRow, studentsHeaders, 'roll_no'),
+      attendance: processHorizontalAttendance(attendanceRow, attendanceHeaders, [], session),
+      // Tests without marks entered yet count neither as taken nor in averages
+      tests: processHorizontalTests(testsRow, testsHeaders).filter(isScored),
+      assignments: processHorizontalAssignments(assignmentsRow, assignmentsHeaders)
+    };
+  });
+
+  // One roster line per student
+  const roster = students.map(student => {
+    const averageTestPercentage = student.tests.length > 0
+      ? mean(student.tests.map(test => test.percentage))
+      : null;
+
+    return {
+      admissionNo: student.admissionNo,
+      name: student.name,
+      rollNo: student.rollNo,
+      attendancePercentage: round(calculateOverallAttendance(student.attendance)),
+      pendingAssignments: student.assignments.filter(a => a.status === 'pending').length,
+      testsTaken: student.tests.length,
+      averageTestPercentage: averageTestPercentage !== null ? round(averageTestPercentage) : null
+    };
+  });
+
+  return {
+    class: classRows.length > 0 ? getValueByHeader(classRows[0], studentsHeaders, 'class') : className,
+    totalStudents: roster.length,
+    roster,
+    monthlyAttendance: aggregateMonthlyAttendance(students),
+    subjectTestAverages: aggregateSubjectTests(students),
+    ranking: rankStudents(roster),
+    warnings
+  };
+}
+
+// Helper function to find all student rows belonging to a class
+function findStudentsByClass(values, headers, className) {
+  const classIndex = headers.findIndex(h => h.toLowerCase() === 'class');
+  if (classIndex === -1) return [];
+
+  const wanted = normalizeClassName(className);
+
+  // Skip header row (index 0)
+  return values.slice(1).filter(row => row && normalizeClassName(row[classIndex]) === wanted);
+}
+
+// Compare class names ignoring case and spacing ("VIII - A" matches "viii-a")
+function normalizeClassName(className) {
+  return String(className || '').toLowerCase().replace(/\s+/g, '');
+}
+
+// Mean and median attendance per month, in session order. Register months
+// carry their year, so the same month of two years is kept apart.
+function aggregateMonthlyAttendance(students) {
+  const monthMap = {};
+  const months = [];
+
+  students.forEach(student => {
+    student.attendance.forEach(month => {
+      const key = `${month.month} ${month.year || ''}`;
+      if (!monthMap[key]) {
+        monthMap[key] = [];
+        months.push({ key, month: month.month, year: month.year || null });
+      }
+      monthMap[key].push(month.percentage);
+    });
+  });
+
+  return months.map(({ key, month, year }) => ({
+    month,
+    year,
+    students: monthMap[key].length,
+    mean: round(mean(monthMap[key])),
+    median: round(median(monthMap[key]))
+  }));
+}
+
+// Average test percentage per subject across the whole class
+function aggregateSubjectTests(students) {
+  const subjectMap = {};
+  const subjects = [];
+
+  students.forEach(student => {
+    student.tests.forEach(test => {
+      if (!subjectMap[test.subject]) {
+        subjectMap[test.subject] = [];
+        subjects.push(test.subject);
+      }
+      subjectMap[test.subject].push(test.percentage);
+    });
+  });
+
+  return subjects.map(subject => ({
+    subject,
+    tests: subjectMap[subject].length,
+    average: round(mean(subjectMap[subject]))
+  }));
+}
+
+// Rank students by average test percentage (ties share a rank)
+function rankStudents(roster) {
+  const ranked = roster
+    .filter(student => student.averageTestPercentage !== null)
+    .sort((a, b) => b.averageTestPercentage - a.averageTestPercentage);
+
+  let rank = 0;
+  return ranked.map((student, index) => {
+    if (index === 0 || student.averageTestPercentage !== ranked[index - 1].averageTestPercentage) {
+      rank = index + 1;
+    }
+    return {
+      rank,
+      admissionNo: student.admissionNo,
+      name: student.name,
+      averageTestPercentage: student.averageTestPercentage,
+      attendancePercentage: student.attendancePercentage
+    };
+  });
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+// Round to one decimal place, matching the summary percentages
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+module.exports = {
+  buildClassReport,
+  findStudentsByClass,
+  normalizeClassName,
+  mean,
+  round
+};
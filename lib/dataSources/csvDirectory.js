@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { buildValueRanges, applyCellUpdates } = require('./ranges');
+const { sheetMissing } = require('../errors');
+
+// Directory of CSV files, one per sheet (Students.csv, Tests.csv, ...)
+function createCsvDirectorySource({ directory }) {
+  // Find the CSV for a sheet, ignoring the case of the file name
+  function findSheetFile(sheetName) {
+    const fileName = fs.readdirSync(directory)
+      .find(file => file.toLowerCase() === `${sheetName.toLowerCase()}.csv`);
+    return fileName ? path.join(directory, fileName) : null;
+  }
+
+  function loadSheet(sheetName) {
+    const file = findSheetFile(sheetName);
+    if (!file) return null;
+
+    // Read as UTF-8 (with or without a byte order mark) so Hindi names
+    // survive; raw: keep cells as typed so dates and leading zeros are not
+    // reinterpreted
+    const text = fs.readFileSync(file, 'utf8').replace(/^\ufeff/, '');
+    const workbook = XLSX.read(text, { type: 'string', raw: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  }
+
+  // Write cells ({ row, column, value }, zero-based) to one sheet's CSV
+  async function updateCells(sheetName, updates) {
+    const file = findSheetFile(sheetName);
+    if (!file) {
+      throw sheetMissing(sheetName);
+    }
+
+    const rows = applyCellUpdates(loadSheet(sheetName), updates);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName);
+    XLSX.writeFile(workbook, file, { bookType: 'csv' });
+  }
+
+  return {
+    name: 'csv',
+    configured: Boolean(directory && fs.existsSync(directory)),
+    writable: Boolean(directory && fs.existsSync(directory)),
+    fetchWorkbook: ranges => buildValueRanges(ranges, loadSheet),
+    updateCells
+  };
+}
+
+module.exports = { createCsvDirectorySource };
@@ -0,0 +1,116 @@
+const axios = require('axios');
+const { indexToColumn, parseRange } = require('./ranges');
+const { sheetMissing } = require('../errors');
+
+// Google Sheets data source. Reads the live spreadsheet with an API key;
+// writes need a service account with edit access to the spreadsheet.
+// `apiUrl` replaces https://sheets.googleapis.com for reads, e.g. with a
+// local mock of the API in tests.
+function createGoogleSheetsSource({ spreadsheetId, apiKey, serviceAccountKeyFile, apiUrl = 'https://sheets.googleapis.com' }) {
+  let sheetsClient = null;
+
+  // Fetch the whole workbook from Google Sheets in one batchGet call.
+  // Sheets fails the whole batch when one tab doesn't exist, so such ranges
+  // are dropped and the batch retried, listing them in `missingSheets`.
+  async function fetchWorkbook(ranges) {
+    // Google Sheets API endpoint with multiple ranges
+    const sheetsEndpoint = `${apiUrl.replace(/\/+$/, '')}/v4/spreadsheets/${spreadsheetId}/values:batchGet`;
+    let remaining = [...ranges];
+    const missingSheets = [];
+    
+    while (remaining.length > 0) {
+      // Build the full URL with query parameters
+      const url = `${sheetsEndpoint}?key=${apiKey}&ranges=${remaining.map(range => encodeURIComponent(range)).join('&ranges=')}`;
+      
+      try {
+        const response = await axios.get(url);
+        return { ...response.data, missingSheets };
+      } catch (error) {
+        const missingRange = findUnparsableRange(error, remaining);
+        if (!missingRange) throw error;
+        missingSheets.push(parseRange(missingRange).sheetName);
+        remaining = remaining.filter(range => range !== missingRange);
+      }
+    }
+    
+    return { valueRanges: [], missingSheets };
+  }
+
+  // The range a 400 "Unable to parse range: Corrections!A:ZZ" is about
+  function findUnparsableRange(error, ranges) {
+    const message = error.response && error.response.status === 400 && error.response.data && error.response.data.error
+      ? String(error.response.data.error.message || '')
+      : '';
+    const match = message.match(/Unable to parse range: (.+)$/);
+    return match ? ranges.find(range => range === match[1].trim()) || null : null;
+  }
+
+  function getSheetsClient() {
+    if (!sheetsClient) {
+      // googleapis is large, so only load it once something is written
+      const { google } = require('googleapis');
+      const auth = new google.auth.GoogleAuth({
+        keyFile: serviceAccountKeyFile,
+        scopes: ['https://www.googleapis.com/auth/spreadsheets']
+      });
+      sheetsClient = google.sheets({ version: 'v4', auth });
+    }
+    return sheetsClient;
+  }
+
+  // Write cells ({ row, column, value }, zero-based) to one sheet
+  async function updateCells(sheetName, updates) {
+    if (updates.length === 0) return;
+
+    const sheets = getSheetsClient();
+    await ensureGridSize(sheets, sheetName, updates);
+
+    const quotedName = `'${sheetName.replace(/'/g, "''")}'`;
+    await sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId,
+      requestBody: {
+        // RAW keeps DD-MM-YYYY dates and leading zeros exactly as written
+        valueInputOption: 'RAW',
+        data: updates.map(({ row, column, value }) => ({
+          range: `${quotedName}!${indexToColumn(column)}${row + 1}`,
+          values: [[value === undefined || value === null ? '' : String(value)]]
+        }))
+      }
+    });
+  }
+
+  // New sheets have a 26 column/1000 row grid; grow it before writing past it
+  async function ensureGridSize(sheets, sheetName, updates) {
+    const response = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+    const sheet = response.data.sheets.find(s => s.properties.title.toLowerCase() === sheetName.toLowerCase());
+    if (!sheet) {
+      throw sheetMissing(sheetName);
+    }
+
+    const { sheetId, gridProperties } = sheet.properties;
+    const neededColumns = Math.max(...updates.map(update => update.column + 1));
+    const neededRows = Math.max(...updates.map(update => update.row + 1));
+    const requests = [];
+
+    if (neededColumns > gridProperties.columnCount) {
+      requests.push({ appendDimension: { sheetId, dimension: 'COLUMNS', length: neededColumns - gridProperties.columnCount } });
+    }
+    if (neededRows > gridProperties.rowCount) {
+      requests.push({ appendDimension: { sheetId, dimension: 'ROWS', length: neededRows - gridProperties.rowCount } });
+    }
+
+    if (requests.length > 0) {
+      await sheets.spreadsheets.batchUpdate({ spreadsheetId, requestBody: { requests } });
+    }
+  }
+
+  return {
+    name: 'google-sheets',
+    configured: Boolean(spreadsheetId && apiKey),
+    writable: Boolean(spreadsheetId && serviceAccountKeyFile),
+    fetchWorkbook,
+    updateCells
+  };
+}
+
+module.exports = { createGoogleSheetsSource };
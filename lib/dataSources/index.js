@@ -0,0 +1,77 @@
+const { createGoogleSheetsSource } = require('./googleSheets');
+const { createCsvDirectorySource } = require('./csvDirectory');
+const { createXlsxWorkbookSource } = require('./xlsxWorkbook');
+const { createJsonFixtureSource } = require('./jsonFixture');
+const { createError, upstreamError } = require('../errors');
+
+// Every data source has the same interface:
+//   name          - identifier shown on /api/status
+//   configured    - whether the source has what it needs to run
+//   writable      - whether updateCells can be used
+//   fetchWorkbook - async (ranges) => batchGet-shaped { valueRanges }
+//   updateCells   - async (sheetName, [{ row, column, value }]) with
+//                   zero-based row/column positions
+//
+// Tabs that don't exist are left out of the response and listed in its
+// `missingSheets`. Other failures are reported as 502/503 errors (see
+// lib/errors.js).
+//
+// Pick the data source from config (normally process.env):
+//   DATA_SOURCE=google-sheets (default) uses GOOGLE_SHEETS_ID / GOOGLE_SHEETS_API_KEY,
+//                 GOOGLE_SERVICE_ACCOUNT_KEY_FILE for writes, and
+//                 GOOGLE_SHEETS_API_URL to read from somewhere other than Google
+//   DATA_SOURCE=csv   uses DATA_SOURCE_PATH as a directory of <Sheet>.csv files
+//   DATA_SOURCE=xlsx  uses DATA_SOURCE_PATH as an .xlsx workbook
+//   DATA_SOURCE=json  uses DATA_SOURCE_PATH as a JSON fixture
+function createDataSource(config) {
+  return withUpstreamErrors(createSource(config));
+}
+
+function createSource(config) {
+  const type = (config.DATA_SOURCE || 'google-sheets').toLowerCase();
+
+  switch (type) {
+    case 'google-sheets':
+    case 'sheets':
+      return createGoogleSheetsSource({
+        spreadsheetId: config.GOOGLE_SHEETS_ID,
+        apiKey: config.GOOGLE_SHEETS_API_KEY,
+        serviceAccountKeyFile: config.GOOGLE_SERVICE_ACCOUNT_KEY_FILE,
+        apiUrl: config.GOOGLE_SHEETS_API_URL || undefined
+      });
+    case 'csv':
+      return createCsvDirectorySource({ directory: config.DATA_SOURCE_PATH });
+    case 'xlsx':
+      return createXlsxWorkbookSource({ file: config.DATA_SOURCE_PATH });
+    case 'json':
+      return createJsonFixtureSource({ file: config.DATA_SOURCE_PATH });
+    default:
+      throw new Error(`Unknown DATA_SOURCE "${config.DATA_SOURCE}". Use google-sheets, csv, xlsx or json.`);
+  }
+}
+
+// Report an unconfigured source, and failures reaching it, as typed errors
+function withUpstreamErrors(source) {
+  async function fetchWorkbook(ranges) {
+    if (!source.configured) {
+      throw createError(503, `The ${source.name} data source is not configured`, 'DATA_SOURCE_NOT_CONFIGURED');
+    }
+    try {
+      return await source.fetchWorkbook(ranges);
+    } catch (error) {
+      throw upstreamError(error, source.name);
+    }
+  }
+
+  async function updateCells(sheetName, updates) {
+    try {
+      return await source.updateCells(sheetName, updates);
+    } catch (error) {
+      throw upstreamError(error, source.name);
+    }
+  }
+
+  return { ...source, fetchWorkbook, updateCells };
+}
+
+module.exports = { createDataSource };
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const { buildValueRanges, parseRange, applyCellUpdates } = require('./ranges');
+const { sheetMissing } = require('../errors');
+
+// JSON fixture file. Accepts either a saved batchGet response
+// ({ valueRanges: [{ range, values }] }) or a map of sheet name to rows
+// ({ "Students": [["admission_no", ...], ...] }).
+function createJsonFixtureSource({ file }) {
+  async function fetchWorkbook(ranges) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const sheets = {};
+
+    if (Array.isArray(fixture.valueRanges)) {
+      fixture.valueRanges.forEach(valueRange => {
+        sheets[parseRange(valueRange.range).sheetName.toLowerCase()] = valueRange.values || [];
+      });
+    } else {
+      Object.keys(fixture).forEach(sheetName => {
+        sheets[sheetName.toLowerCase()] = fixture[sheetName];
+      });
+    }
+
+    return buildValueRanges(ranges, sheetName => sheets[sheetName.toLowerCase()] || null);
+  }
+
+  // Write cells ({ row, column, value }, zero-based) back into the fixture
+  async function updateCells(sheetName, updates) {
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const wanted = sheetName.toLowerCase();
+
+    if (Array.isArray(fixture.valueRanges)) {
+      const valueRange = fixture.valueRanges.find(v => parseRange(v.range).sheetName.toLowerCase() === wanted);
+      if (!valueRange) throw sheetMissing(sheetName);
+      valueRange.values = applyCellUpdates(valueRange.values || [], updates);
+    } else {
+      const key = Object.keys(fixture).find(name => name.toLowerCase() === wanted);
+      if (!key) throw sheetMissing(sheetName);
+      fixture[key] = applyCellUpdates(fixture[key], updates);
+    }
+
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  }
+
+  return {
+    name: 'json',
+    configured: Boolean(file && fs.existsSync(file)),
+    writable: Boolean(file && fs.existsSync(file)),
+    fetchWorkbook,
+    updateCells
+  };
+}
+
+module.exports = { createJsonFixtureSource };
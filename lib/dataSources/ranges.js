@@ -0,0 +1,116 @@
+// Helpers shared by the local data sources so they return exactly the
+// `valueRanges` shape of a Sheets `values:batchGet` response
+
+// Convert a column label (A, Z, AA...) to a zero-based index
+function columnToIndex(column) {
+  let index = 0;
+  for (const char of column.toUpperCase()) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+// Parse an A1 range such as "Students!A:G" or "'Lab Records'!A2:Z100"
+function parseRange(range) {
+  const match = range.match(/^(?:'((?:[^']|'')+)'|([^!]+))!([A-Za-z]+)(\d*)(?::([A-Za-z]+)(\d*))?$/);
+  if (!match) {
+    throw new Error(`Unsupported range: ${range}`);
+  }
+
+  const sheetName = match[1] ? match[1].replace(/''/g, "'") : match[2];
+  const startColumn = columnToIndex(match[3]);
+  const endColumn = match[5] ? columnToIndex(match[5]) : startColumn;
+  const startRow = match[4] ? parseInt(match[4]) - 1 : 0;
+  const endRow = match[6] ? parseInt(match[6]) - 1 : Infinity;
+
+  return { sheetName, startColumn, endColumn, startRow, endRow };
+}
+
+// Cut a range out of a full sheet and trim trailing blanks the way Sheets does
+function sliceRange(values, parsedRange) {
+  const { startColumn, endColumn, startRow, endRow } = parsedRange;
+
+  const rows = values
+    .slice(startRow, endRow === Infinity ? undefined : endRow + 1)
+    .map(row => trimTrailingBlanks((row || []).slice(startColumn, endColumn + 1).map(cellToString)));
+
+  while (rows.length > 0 && rows[rows.length - 1].length === 0) {
+    rows.pop();
+  }
+
+  return rows;
+}
+
+function trimTrailingBlanks(row) {
+  let end = row.length;
+  while (end > 0 && row[end - 1] === '') end--;
+  return row.slice(0, end);
+}
+
+// Sheets returns formatted values, so everything comes back as a string
+function cellToString(cell) {
+  return cell === undefined || cell === null ? '' : String(cell);
+}
+
+// Build a batchGet-style response from a sheet loader.
+// `loadSheet(sheetName)` returns the full 2D array of values, or null when
+// the sheet does not exist. Missing sheets are left out and listed in
+// `missingSheets` so the rest of the workbook can still be used.
+async function buildValueRanges(ranges, loadSheet) {
+  const valueRanges = [];
+  const missingSheets = [];
+
+  for (const range of ranges) {
+    const parsedRange = parseRange(range);
+    const values = await loadSheet(parsedRange.sheetName);
+
+    if (!values) {
+      missingSheets.push(parsedRange.sheetName);
+      continue;
+    }
+
+    const valueRange = { range, majorDimension: 'ROWS' };
+    const rows = sliceRange(values, parsedRange);
+
+    // Like Sheets, empty ranges come back without a `values` property
+    if (rows.length > 0) valueRange.values = rows;
+
+    valueRanges.push(valueRange);
+  }
+
+  return { valueRanges, missingSheets };
+}
+
+// Apply cell updates ({ row, column, value }, zero-based) to a full sheet,
+// growing it as needed. Returns the updated rows.
+function applyCellUpdates(values, updates) {
+  const rows = values.map(row => [...(row || [])]);
+
+  updates.forEach(({ row, column, value }) => {
+    while (rows.length <= row) rows.push([]);
+    while (rows[row].length < column) rows[row].push('');
+    rows[row][column] = cellToString(value);
+  });
+
+  return rows;
+}
+
+// Convert a zero-based column index to its sheet letter (0 => A, 26 => AA)
+function indexToColumn(index) {
+  let column = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    column = String.fromCharCode(65 + remainder) + column;
+    n = Math.floor((n - 1) / 26);
+  }
+  return column;
+}
+
+module.exports = {
+  parseRange,
+  sliceRange,
+  buildValueRanges,
+  applyCellUpdates,
+  indexToColumn
+};
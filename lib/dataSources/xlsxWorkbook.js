@@ -0,0 +1,64 @@
+const fs = require('fs');
+const XLSX = require('xlsx');
+const { buildValueRanges } = require('./ranges');
+const { sheetMissing } = require('../errors');
+
+// Single Excel workbook with one tab per sheet, e.g. an export of the
+// Google Sheet. The file is re-read on every fetch so edits show up.
+function createXlsxWorkbookSource({ file }) {
+  function findTabName(workbook, sheetName) {
+    return workbook.SheetNames.find(name => name.toLowerCase() === sheetName.toLowerCase());
+  }
+
+  async function fetchWorkbook(ranges) {
+    // Format dates as DD-MM-YYYY to match what the Sheets API returns
+    const workbook = XLSX.readFile(file, { cellDates: true, dateNF: 'dd-mm-yyyy' });
+
+    function loadSheet(sheetName) {
+      const tabName = findTabName(workbook, sheetName);
+      if (!tabName) return null;
+
+      return XLSX.utils.sheet_to_json(workbook.Sheets[tabName], {
+        header: 1,
+        raw: false,
+        defval: '',
+        dateNF: 'dd-mm-yyyy'
+      });
+    }
+
+    return buildValueRanges(ranges, loadSheet);
+  }
+
+  // Write cells ({ row, column, value }, zero-based) as text, keeping the
+  // rest of the workbook (formatting, other tabs) as it is
+  async function updateCells(sheetName, updates) {
+    const workbook = XLSX.readFile(file, { cellStyles: true });
+    const tabName = findTabName(workbook, sheetName);
+    if (!tabName) {
+      throw sheetMissing(sheetName);
+    }
+
+    const sheet = workbook.Sheets[tabName];
+    const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1:A1');
+
+    updates.forEach(({ row, column, value }) => {
+      const text = value === undefined || value === null ? '' : String(value);
+      sheet[XLSX.utils.encode_cell({ r: row, c: column })] = { t: 's', v: text };
+      range.e.r = Math.max(range.e.r, row);
+      range.e.c = Math.max(range.e.c, column);
+    });
+
+    sheet['!ref'] = XLSX.utils.encode_range(range);
+    XLSX.writeFile(workbook, file);
+  }
+
+  return {
+    name: 'xlsx',
+    configured: Boolean(file && fs.existsSync(file)),
+    writable: Boolean(file && fs.existsSync(file)),
+    fetchWorkbook,
+    updateCells
+  };
+}
+
+module.exports = { createXlsxWorkbookSource };
@@ -0,0 +1,92 @@
+// Errors the API can explain to its clients. Each one carries an HTTP
+// `status` and a stable `code` that the frontend can switch on, e.g.
+//   400 VALIDATION_ERROR      - a write request body is missing or has the
+//                               wrong shape (absentees not a list, ...)
+//   404 STUDENT_NOT_FOUND     - no such admission number
+//   422 SHEET_MISSING         - a required tab is not in the workbook
+//   422 SHEET_MALFORMED       - a tab has no header row or admission_no column
+//   502 UPSTREAM_ERROR        - the data source rejected the request (bad
+//                               spreadsheet ID or API key, no access)
+//   503 UPSTREAM_UNAVAILABLE  - the data source could not be reached
+// Anything without a status is a bug and becomes a 500 INTERNAL_ERROR.
+
+const DEFAULT_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'UPSTREAM_UNAVAILABLE'
+};
+
+// Network failures that mean "try again later" rather than "misconfigured"
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'EAI_AGAIN', 'ENOENT'];
+
+function createError(status, message, code = defaultErrorCode(status)) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function defaultErrorCode(status) {
+  return DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'INVALID_REQUEST');
+}
+
+function badRequest(message) {
+  return createError(400, message);
+}
+
+function validationError(message) {
+  return createError(400, message, 'VALIDATION_ERROR');
+}
+
+function studentNotFound(admissionNumber) {
+  return createError(404, `Student with admission number ${admissionNumber} not found`, 'STUDENT_NOT_FOUND');
+}
+
+function sheetMissing(sheetName) {
+  const error = createError(422, `Sheet ${sheetName} is missing from the workbook`, 'SHEET_MISSING');
+  error.sheet = sheetName;
+  return error;
+}
+
+function sheetMalformed(sheetName, problem) {
+  const error = createError(422, `Sheet ${sheetName} ${problem}`, 'SHEET_MALFORMED');
+  error.sheet = sheetName;
+  return error;
+}
+
+// Turn a data source failure (axios or file system error) into a 502/503.
+// Errors that already have a status are passed through; axios errors
+// carry the upstream status too, but that is not ours to send.
+function upstreamError(error, sourceName) {
+  if (error.status && !error.response) return error;
+
+  const response = error.response;
+  const unavailable = response
+    ? response.status === 429 || response.status >= 500
+    : UNAVAILABLE_CODES.includes(error.code);
+
+  const upstream = unavailable
+    ? createError(503, `The ${sourceName} data source is unavailable. Please try again shortly.`, 'UPSTREAM_UNAVAILABLE')
+    : createError(502, `The ${sourceName} data source rejected the request. Check its configuration.`, 'UPSTREAM_ERROR');
+  upstream.cause = error;
+  return upstream;
+}
+
+module.exports = {
+  createError,
+  defaultErrorCode,
+  badRequest,
+  validationError,
+  studentNotFound,
+  sheetMissing,
+  sheetMalformed,
+  upstreamError
+};
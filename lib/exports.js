@@ -0,0 +1,207 @@
+const XLSX = require('xlsx');
+const {
+  processHorizontalAttendance,
+  processHorizontalTests,
+  calculateOverallAttendance,
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  readOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { getSheetSchema } = require('./sheetSchema');
+const { subjectId } = require('./subjects');
+const { gradeForPercentage, isScored } = require('./grading');
+const { monthNumber, sessionStart, termForMonth } = require('./academicCalendar');
+const { findStudentsByClass, mean, round } = require('./classReport');
+
+// Office exports (monthly attendance returns and marks registers) as a
+// list of rows: a header row, one row per student in roll number order,
+// then a blank row and the class summary rows. The numbers come from the
+// same processors as the portal so the two always agree. Only the Students
+// sheet is required; a missing Attendance or Tests sheet gives an empty
+// roster and is listed in `warnings`.
+
+// Both exports take an optional calendar with a session ("2025-26") and
+// term (1, 2...): register days outside the session are left out, and with
+// a term only its months and the tests dated in them are exported.
+
+// Attendance roster for a class, for one month (1-12) or, without one,
+// the whole session. Students below `threshold` % are counted in the summary.
+function buildAttendanceExport(sheetsData, { className, month, threshold, calendar, session, term }) {
+  const warnings = [];
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const attendanceSheet = readOptionalSheet(sheets, 'Attendance', warnings);
+  const studentsHeaders = studentsSheet.values[0] || [];
+  const attendanceHeaders = attendanceSheet.values[0];
+
+  const students = getRoster(studentsSheet.values, studentsHeaders, className).map(student => {
+    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, student.admissionNo);
+    const attendance = processHorizontalAttendance(attendanceRow, attendanceHeaders, [],
+      calendar && session ? sessionStart(session, calendar) : null)
+      .filter(m => (!month || monthNumber(m.month) === month) && inTerm(monthNumber(m.month), calendar, term));
+
+    return {
+      ...student,
+      workingDays: attendance.reduce((sum, m) => sum + m.workingDays, 0),
+      present: attendance.reduce((sum, m) => sum + (isNaN(m.present) ? 0 : m.present), 0),
+      absent: attendance.reduce((sum, m) => sum + (isNaN(m.absent) ? 0 : m.absent), 0),
+      leave: attendance.reduce((sum, m) => sum + (m.leave || 0), 0),
+      percentage: round(calculateOverallAttendance(attendance))
+    };
+  });
+
+  const withData = students.filter(student => student.workingDays > 0);
+  const totals = {
+    workingDays: students.reduce((sum, s) => sum + s.workingDays, 0),
+    present: students.reduce((sum, s) => sum + s.present, 0),
+    absent: students.reduce((sum, s) => sum + s.absent, 0),
+    leave: students.reduce((sum, s) => sum + s.leave, 0)
+  };
+
+  const rows = [
+    ['Roll No', 'Admission No', 'Name', 'Working Days', 'Present', 'Absent', 'Of which Leave', 'Attendance %'],
+    ...students.map(s => [s.rollNo, s.admissionNo, s.name, s.workingDays, s.present, s.absent, s.leave, s.percentage]),
+    [],
+    ['Class Total', '', `${students.length} students`, totals.workingDays, totals.present, totals.absent, totals.leave,
+      totals.workingDays > 0 ? round((totals.present / totals.workingDays) * 100) : 0],
+    ['Average per Student', '', '', '', '', '', '', withData.length > 0 ? round(mean(withData.map(s => s.percentage))) : 0],
+    [`Below ${threshold}%`, '', '', '', '', '', '', withData.filter(s => s.percentage < threshold).length]
+  ];
+
+  return { students: students.length, rows, warnings };
+}
+
+// Marks register for a class: one column per test (every <subject>_testN,
+// or only the given subject's), then each student's total, percentage and
+// grade. Summary rows give each test's average, highest and lowest marks.
+function buildMarksExport(sheetsData, { className, subject, gradingScale, calendar, term }) {
+  const warnings = [];
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const testsSheet = readOptionalSheet(sheets, getSheetSchema('tests').sheet, warnings);
+  const studentsHeaders = studentsSheet.values[0] || [];
+  const testsHeaders = testsSheet.values[0];
+  const wantedSubject = subject ? subjectId(subject) : null;
+
+  const students = getRoster(studentsSheet.values, studentsHeaders, className).map(student => {
+    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, student.admissionNo);
+    const tests = processHorizontalTests(testsRow, testsHeaders, gradingScale)
+      .filter(test => !wantedSubject || test.subjectId === wantedSubject)
+      .filter(test => {
+        // Undated tests can't be placed in a term
+        const date = parseSheetDate(test.date);
+        return !term || (date !== null && inTerm(date.getMonth() + 1, calendar, term));
+      });
+    return { ...student, tests };
+  });
+
+  // Register columns: one per test column of the sheet, oldest first. Two
+  // tests of a subject may share a name ("UT1"), so columns go by item key.
+  const columns = [];
+  students.forEach(student => {
+    student.tests.forEach(test => {
+      if (!columns.some(c => c.key === test.key)) {
+        columns.push({ key: test.key, subject: test.subject, name: test.name, date: test.date, maxMarks: test.maxMarks });
+      }
+    });
+  });
+  columns.sort((a, b) => {
+    const dateA = parseSheetDate(a.date);
+    const dateB = parseSheetDate(b.date);
+    if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+    return dateA - dateB;
+  });
+
+  const findTest = (student, column) => student.tests.find(test => test.key === column.key);
+  // Tests without marks entered yet count neither as taken nor in totals
+  const findScored = (student, column) => {
+    const test = findTest(student, column);
+    return test && isScored(test) ? test : undefined;
+  };
+
+  const studentRows = students.map(student => {
+    const taken = columns.map(column => findScored(student, column)).filter(Boolean);
+    const obtained = taken.reduce((sum, test) => sum + test.marksObtained, 0);
+    const maximum = taken.reduce((sum, test) => sum + test.maxMarks, 0);
+    const percentage = maximum > 0 ? round((obtained / maximum) * 100) : null;
+
+    return [
+      student.rollNo,
+      student.admissionNo,
+      student.name,
+      ...columns.map(column => {
+        const test = findTest(student, column);
+        if (!test) return 'AB';
+        return isScored(test) ? test.marksObtained : '';
+      }),
+      taken.length > 0 ? obtained : '',
+      taken.length > 0 ? maximum : '',
+      percentage !== null ? percentage : '',
+      percentage !== null ? gradeForPercentage(percentage, gradingScale) : ''
+    ];
+  });
+
+  // Summary of one test column across the students who took it
+  const summarize = (label, combine) => [label, '', '', ...columns.map(column => {
+    const marks = students.map(student => findScored(student, column)).filter(Boolean).map(test => test.marksObtained);
+    return marks.length > 0 ? combine(marks) : '';
+  }), '', '', '', ''];
+
+  const rows = [
+    ['Roll No', 'Admission No', 'Name',
+      ...columns.map(c => `${c.subject} ${c.name} (${c.maxMarks})${c.date ? ` ${c.date}` : ''}`),
+      'Total', 'Max Marks', 'Percentage', 'Grade'],
+    ...studentRows,
+    [],
+    summarize('Class Average', marks => round(mean(marks))),
+    summarize('Highest', marks => Math.max(...marks)),
+    summarize('Lowest', marks => Math.min(...marks)),
+    summarize('Appeared', marks => marks.length)
+  ];
+
+  return { students: students.length, tests: columns.length, rows, warnings };
+}
+
+// Whether a month (1-12) is in the term (always true without a term)
+function inTerm(month, calendar, term) {
+  if (!term || !calendar) return true;
+  const monthTerm = month ? termForMonth(month, calendar) : null;
+  return Boolean(monthTerm) && String(monthTerm.term) === String(term);
+}
+
+// Students of a class in roll number order
+function getRoster(values, headers, className) {
+  return findStudentsByClass(values, headers, className)
+    .map(row => ({
+      rollNo: getValueByHeader(row, headers, 'roll_no'),
+      admissionNo: getValueByHeader(row, headers, 'admission_no'),
+      name: getValueByHeader(row, headers, 'name')
+    }))
+    .sort((a, b) => (parseInt(a.rollNo) || Number.MAX_SAFE_INTEGER) - (parseInt(b.rollNo) || Number.MAX_SAFE_INTEGER));
+}
+
+// CSV with a byte order mark so Excel opens Hindi names correctly
+function toCsv(rows) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return '\ufeff' + rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+// Single-sheet .xlsx file as a Buffer
+function toXlsx(rows, sheetName) {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), sheetName.substring(0, 31));
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  buildAttendanceExport,
+  buildMarksExport,
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side percentages and grades, so the portal no longer depends on
+// teachers filling in the _percent/_percentage/_grade columns by hand.
+//
+// A grading scale is a list of { grade, min } bands; a percentage gets the
+// first band (highest min first) it reaches. The default is the CBSE
+// nine-point scale in config/gradingScale.json.
+
+const DEFAULT_SCALE_FILE = path.join(__dirname, '..', 'config', 'gradingScale.json');
+
+// Allowed difference between a typed percentage and the computed one
+const PERCENT_TOLERANCE = 1;
+
+let loadedScale = null;
+
+// Read and check a grading scale file
+function loadGradingScale(file) {
+  const scale = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(scale) || scale.length === 0) {
+    throw new Error(`Grading scale ${file} must be a non-empty list of { grade, min }`);
+  }
+  scale.forEach(band => {
+    if (!band.grade || typeof band.min !== 'number') {
+      throw new Error(`Grading scale ${file} has a band without a grade or numeric min`);
+    }
+  });
+
+  return [...scale].sort((a, b) => b.min - a.min);
+}
+
+// Grading scale in use, loaded once from GRADING_SCALE_FILE or the bundled config
+function getGradingScale() {
+  if (!loadedScale) {
+    loadedScale = loadGradingScale(process.env.GRADING_SCALE_FILE || DEFAULT_SCALE_FILE);
+  }
+  return loadedScale;
+}
+
+// Grade for a percentage on a scale ('' when nothing matches)
+function gradeForPercentage(percentage, scale) {
+  const band = scale.find(b => percentage >= b.min);
+  return band ? band.grade : '';
+}
+
+// Percentage rounded to one decimal place
+function percentageOf(part, whole) {
+  return Math.round((part / whole) * 1000) / 10;
+}
+
+// Recompute test percentages and grades from marks. Each test gets a
+// `sources` map saying whether percentage/grade were computed or read from
+// the sheet; disagreements with the sheet are pushed onto `mismatches`.
+function deriveTestScores(tests, scale, mismatches) {
+  return tests.map(test => {
+    // Marks not entered yet (and no percentage typed in): no score, rather
+    // than a score of 0
+    if (test.marksObtained === null && !test.percentage) {
+      return { ...test, percentage: null, grade: '', sources: { percentage: 'sheet', grade: 'sheet' } };
+    }
+
+    const sources = {};
+    let percentage = test.percentage;
+    let grade = test.grade;
+
+    if (test.marksObtained !== null && test.maxMarks > 0) {
+      percentage = percentageOf(test.marksObtained, test.maxMarks);
+      sources.percentage = 'computed';
+
+      // The sheet reads an empty percentage cell as 0
+      if (test.percentage && Math.abs(test.percentage - percentage) > PERCENT_TOLERANCE) {
+        mismatches.push(createMismatch('tests', test, 'percentage', test.percentage, percentage));
+      }
+    } else {
+      sources.percentage = 'sheet';
+    }
+
+    if (sources.percentage === 'computed' || percentage > 0) {
+      grade = gradeForPercentage(percentage, scale);
+      sources.grade = 'computed';
+
+      if (test.grade && test.grade.trim().toUpperCase() !== grade.toUpperCase()) {
+        mismatches.push(createMismatch('tests', test, 'grade', test.grade, grade));
+      }
+    } else {
+      sources.grade = 'sheet';
+    }
+
+    return { ...test, percentage, grade, sources };
+  });
+}
+
+// Whether a test has a score to count in averages (its marks are entered)
+function isScored(test) {
+  return test.percentage !== null && test.percentage !== undefined;
+}
+
+// Recompute monthly attendance percentages from present/working days
+function deriveAttendancePercentages(attendance, mismatches) {
+  return attendance.map(month => {
+    if (!(month.workingDays > 0) || isNaN(month.present)) {
+      return { ...month, sources: { percentage: 'sheet' } };
+    }
+
+    const percentage = percentageOf(month.present, month.workingDays);
+
+    if (month.percentage && Math.abs(month.percentage - percentage) > PERCENT_TOLERANCE) {
+      mismatches.push({
+        section: 'attendance',
+        month: month.month,
+        field: 'percentage',
+        sheetValue: month.percentage,
+        computedValue: percentage
+      });
+    }
+
+    return { ...month, percentage, sources: { percentage: 'computed' } };
+  });
+}
+
+function createMismatch(section, test, field, sheetValue, computedValue) {
+  return {
+    section,
+    subject: test.subject,
+    name: test.name,
+    field,
+    sheetValue,
+    computedValue
+  };
+}
+
+module.exports = {
+  loadGradingScale,
+  getGradingScale,
+  gradeForPercentage,
+  deriveTestScores,
+  isScored,
+  deriveAttendancePercentages
+};
@@ -0,0 +1,108 @@
+const {
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { findDecliningAttendance, findOverdueAssignments } = require('./attendanceAlerts');
+
+// One dashboard for parents with several children in the school. Children
+// are linked by the guardian_id column of the Students sheet; a cell may
+// hold more than one ID ("G-1024, G-1187") when both parents sign in
+// separately.
+
+// Admission numbers of the students with this guardian ID, in sheet order
+function findGuardianChildren(sheetsData, guardianId) {
+  const studentsSheet = getSheet(indexSheetsByName(sheetsData), 'Students');
+  const headers = studentsSheet.values[0] || [];
+  const wanted = normalizeGuardianId(guardianId);
+
+  return studentsSheet.values.slice(1)
+    .filter(row => row && parseGuardianIds(getValueByHeader(row, headers, 'guardian_id')).includes(wanted))
+    .map(row => getValueByHeader(row, headers, 'admission_no'))
+    .filter((admissionNo, index, all) => admissionNo && all.indexOf(admissionNo) === index);
+}
+
+// Combined view from each child's processStudentData() response (with
+// summary.attendanceStatus): every child's summary, their pending
+// assignments in due date order, and alerts for low or declining
+// attendance and overdue work.
+// Options: declineMonths, sessionStartMonth (1-12), today
+function buildGuardianDashboard(guardianId, children, { declineMonths, sessionStartMonth, today = new Date() }) {
+  const pendingAssignments = [];
+  const alerts = [];
+
+  children.forEach(child => {
+    const { admissionNo, name } = child.studentInfo;
+    const overdue = findOverdueAssignments(child.assignments, today);
+
+    child.assignments
+      .filter(assignment => assignment.status === 'pending')
+      .forEach(assignment => {
+        const late = overdue.find(o => o.subject === assignment.subject && o.name === assignment.name);
+        pendingAssignments.push({
+          admissionNo,
+          studentName: name,
+          subject: assignment.subject,
+          name: assignment.name,
+          dueDate: assignment.dueDate,
+          overdue: Boolean(late),
+          daysOverdue: late ? late.daysOverdue : 0
+        });
+      });
+
+    const status = child.summary.attendanceStatus;
+    if (status && status.belowThreshold) {
+      alerts.push({ admissionNo, studentName: name, type: 'low_attendance', attendance: status });
+    }
+
+    const decliningMonths = findDecliningAttendance(child.attendance, declineMonths, sessionStartMonth);
+    if (decliningMonths) {
+      alerts.push({ admissionNo, studentName: name, type: 'declining_attendance', months: decliningMonths });
+    }
+
+    if (overdue.length > 0) {
+      alerts.push({ admissionNo, studentName: name, type: 'overdue_assignments', assignments: overdue });
+    }
+  });
+
+  // Soonest due first; assignments without a due date last
+  pendingAssignments.sort((a, b) => {
+    const dateA = parseSheetDate(a.dueDate);
+    const dateB = parseSheetDate(b.dueDate);
+    if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+    return dateA - dateB;
+  });
+
+  return {
+    guardianId,
+    children: children.map(child => ({
+      studentInfo: child.studentInfo,
+      summary: child.summary,
+      warnings: child.warnings
+    })),
+    pendingAssignments,
+    alerts,
+    totals: {
+      children: children.length,
+      pendingAssignments: pendingAssignments.length,
+      overdueAssignments: pendingAssignments.filter(a => a.overdue).length,
+      alerts: alerts.length
+    }
+  };
+}
+
+// IDs in a guardian_id cell, normalized for comparison
+function parseGuardianIds(value) {
+  return String(value || '').split(/[,;]+/).map(normalizeGuardianId).filter(Boolean);
+}
+
+function normalizeGuardianId(id) {
+  return String(id || '').trim().toUpperCase();
+}
+
+module.exports = {
+  findGuardianChildren,
+  buildGuardianDashboard,
+  parseGuardianIds
+};
@@ -0,0 +1,57 @@
+// In-memory limiter for login attempts.
+//
+// Each key (an IP address, an admission number, a username) may fail
+// `maxAttempts` times within `windowMs`; after that it is locked out for
+// `lockoutMs`. A successful login clears the failures for that key.
+function createLoginLimiter({ maxAttempts, windowMs, lockoutMs }) {
+  const entries = new Map(); // key => { failures: [timestamps], lockedUntil }
+
+  function getEntry(key, now) {
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = { failures: [], lockedUntil: 0 };
+      entries.set(key, entry);
+    }
+    entry.failures = entry.failures.filter(time => now - time < windowMs);
+    return entry;
+  }
+
+  // Seconds until the key may try again, or 0 when it is not locked out
+  function getRetryAfter(key) {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (!entry || entry.lockedUntil <= now) return 0;
+    return Math.ceil((entry.lockedUntil - now) / 1000);
+  }
+
+  function recordFailure(key) {
+    const now = Date.now();
+    const entry = getEntry(key, now);
+    entry.failures.push(now);
+
+    if (entry.failures.length >= maxAttempts) {
+      entry.lockedUntil = now + lockoutMs;
+      entry.failures = [];
+    }
+  }
+
+  function recordSuccess(key) {
+    entries.delete(key);
+  }
+
+  // Forget keys with no recent failures and no active lockout
+  function prune() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      const recent = entry.failures.some(time => now - time < windowMs);
+      if (!recent && entry.lockedUntil <= now) entries.delete(key);
+    }
+  }
+
+  const pruneTimer = setInterval(prune, windowMs);
+  if (pruneTimer.unref) pruneTimer.unref();
+
+  return { getRetryAfter, recordFailure, recordSuccess };
+}
+
+module.exports = { createLoginLimiter };
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Every channel has the same interface:
+//   name       - identifier used in NOTIFY_CHANNELS and the outbox
+//   recipient  - which kind of contact it delivers to: 'email', 'phone'
+//                or 'any' (the local test channels)
+//   configured - whether the channel has what it needs to send
+//   send       - async ({ to, subject, text, studentId, event }) => void
+//
+// Pick channels from config (normally process.env), NOTIFY_CHANNELS being a
+// comma separated list:
+//   smtp     uses SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM
+//   sms      POSTs { to, message, sender } to SMS_GATEWAY_URL with
+//            SMS_GATEWAY_API_KEY as a bearer token and SMS_SENDER_ID
+//   whatsapp POSTs { to, message } to WHATSAPP_WEBHOOK_URL with
+//            WHATSAPP_WEBHOOK_TOKEN as a bearer token
+//   file     appends JSON lines to NOTIFY_OUTBOX_FILE (default logs/notifications.log)
+//   console  prints messages, for trying templates out
+function createChannels(config) {
+  return String(config.NOTIFY_CHANNELS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => createChannel(name, config));
+}
+
+function createChannel(name, config) {
+  switch (name) {
+    case 'smtp':
+    case 'email':
+      return createSmtpChannel({
+        host: config.SMTP_HOST,
+        port: parseInt(config.SMTP_PORT || 587),
+        secure: config.SMTP_SECURE === 'true',
+        user: config.SMTP_USER,
+        password: config.SMTP_PASSWORD,
+        from: config.SMTP_FROM
+      });
+    case 'sms':
+      return createHttpChannel({
+        name: 'sms',
+        url: config.SMS_GATEWAY_URL,
+        token: config.SMS_GATEWAY_API_KEY,
+        extraFields: { sender: config.SMS_SENDER_ID }
+      });
+    case 'whatsapp':
+      return createHttpChannel({
+        name: 'whatsapp',
+        url: config.WHATSAPP_WEBHOOK_URL,
+        token: config.WHATSAPP_WEBHOOK_TOKEN
+      });
+    case 'file':
+      return createFileChannel({
+        file: config.NOTIFY_OUTBOX_FILE || path.join(__dirname, '..', '..', 'logs', 'notifications.log')
+      });
+    case 'console':
+      return createConsoleChannel();
+    default:
+      throw new Error(`Unknown notification channel "${name}". Use smtp, sms, whatsapp, file or console.`);
+  }
+}
+
+function createSmtpChannel({ host, port, secure, user, password, from }) {
+  let transport = null;
+
+  async function send({ to, subject, text }) {
+    if (!transport) {
+      // Only load the mailer once an email is actually sent
+      const nodemailer = require('nodemailer');
+      transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass: password } : undefined
+      });
+    }
+    await transport.sendMail({ from, to, subject, text });
+  }
+
+  return {
+    name: 'smtp',
+    recipient: 'email',
+    configured: Boolean(host && from),
+    send
+  };
+}
+
+// SMS gateways and WhatsApp providers differ, so both are a plain JSON
+// POST that a small adapter on the provider side can take
+function createHttpChannel({ name, url, token, extraFields = {} }) {
+  async function send({ to, text }) {
+    await axios.post(url, { to, message: text, ...extraFields }, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      timeout: 10000
+    });
+  }
+
+  return {
+    name,
+    recipient: 'phone',
+    configured: Boolean(url),
+    send
+  };
+}
+
+function createFileChannel({ file }) {
+  async function send(message) {
+    const line = JSON.stringify({ timestamp: new Date().toISOString(), ...message });
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.appendFile(file, `${line}\n`);
+  }
+
+  return {
+    name: 'file',
+    recipient: 'any',
+    configured: true,
+    send
+  };
+}
+
+function createConsoleChannel() {
+  async function send({ to, subject, text }) {
+    console.log(`[notification] to ${to}: ${subject}\n${text}`);
+  }
+
+  return {
+    name: 'console',
+    recipient: 'any',
+    configured: true,
+    send
+  };
+}
+
+module.exports = { createChannels, createChannel };
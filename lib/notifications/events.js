@@ -0,0 +1,198 @@
+const {
+  processHorizontalAttendance,
+  processDailyAttendance,
+  processHorizontalTests,
+  processHorizontalAssignments,
+  indexSheetsByName,
+  getSheet,
+  readOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader,
+  isInSession
+} = require('../sheetProcessors');
+const { getSheetSchema } = require('../sheetSchema');
+const { getGradingScale, isScored } = require('../grading');
+const { getAcademicCalendar, sessionForDate, sessionStart } = require('../academicCalendar');
+const { getAttendanceStatus, findOverdueAssignments } = require('../attendanceAlerts');
+
+// What parents get told about, per student, in a compact form that can be
+// kept between runs and compared with the next workbook:
+//   absences       - register dates marked A
+//   monthlyAbsent  - absent days per month for months without a register
+//   tests          - marked tests by "<subject>:<name>:<date>"
+//   overdue        - overdue assignments by "<subject>:<name>"
+//   attendance     - cumulative percentage against the threshold
+// Sheets other than Students may be missing: their sections are left empty,
+// the sheet is listed in `missingSheets` and reported in `warnings`.
+// Options: threshold, today, gradingScale and calendar (default to the
+// configured ones). Attendance counts only the session `today` falls in.
+function buildSnapshot(sheetsData, { threshold, today, gradingScale = getGradingScale(), calendar = getAcademicCalendar() }) {
+  const warnings = [];
+  const session = sessionStart(sessionForDate(today, calendar), calendar);
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const attendanceSheet = readOptionalSheet(sheets, 'Attendance', warnings);
+  const testsSheet = readOptionalSheet(sheets, getSheetSchema('tests').sheet, warnings);
+  const assignmentsSheet = readOptionalSheet(sheets, getSheetSchema('assignments').sheet, warnings);
+
+  const studentsHeaders = studentsSheet.values[0] || [];
+  const attendanceHeaders = attendanceSheet.values[0];
+  const testsHeaders = testsSheet.values[0];
+  const assignmentsHeaders = assignmentsSheet.values[0];
+
+  const students = {};
+
+  studentsSheet.values.slice(1).forEach(studentRow => {
+    const admissionNo = studentRow ? getValueByHeader(studentRow, studentsHeaders, 'admission_no') : '';
+    if (!admissionNo || students[admissionNo]) return;
+
+    const attendanceRow = findStudentByAdmissionNo(attendanceSheet.values, attendanceHeaders, admissionNo);
+    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, admissionNo);
+    const assignmentsRow = findStudentByAdmissionNo(assignmentsSheet.values, assignmentsHeaders, admissionNo);
+
+    const attendance = processHorizontalAttendance(attendanceRow, attendanceHeaders, [], session);
+    const days = processDailyAttendance(attendanceRow, attendanceHeaders)
+      .filter(day => isInSession(day.dateValue, session));
+    const registerMonths = new Set(days.map(day => day.dateValue.toLocaleString('en-US', { month: 'long' })));
+    const status = getAttendanceStatus(attendance, threshold);
+
+    const monthlyAbsent = {};
+    attendance
+      .filter(month => !registerMonths.has(month.month))
+      .forEach(month => { monthlyAbsent[month.month] = month.absent; });
+
+    const tests = {};
+    getMarkedTests(testsRow, testsHeaders, gradingScale).forEach(test => {
+      tests[`${test.subject}:${test.name}:${test.date}`] = {
+        subject: test.subject,
+        name: test.name,
+        date: test.date,
+        marksObtained: test.marksObtained,
+        maxMarks: test.maxMarks,
+        percentage: test.percentage,
+        grade: test.grade
+      };
+    });
+
+    const overdue = {};
+    findOverdueAssignments(processHorizontalAssignments(assignmentsRow, assignmentsHeaders), today)
+      .forEach(assignment => { overdue[`${assignment.subject}:${assignment.name}`] = assignment; });
+
+    students[admissionNo] = {
+      name: getValueByHeader(studentRow, studentsHeaders, 'name'),
+      class: getValueByHeader(studentRow, studentsHeaders, 'class'),
+      contact: getValueByHeader(studentRow, studentsHeaders, 'contact'),
+      absences: days.filter(day => day.status === 'absent').map(day => day.date),
+      monthlyAbsent,
+      tests,
+      overdue,
+      attendance: {
+        percentage: status.percentage,
+        belowThreshold: status.belowThreshold,
+        daysNeeded: status.daysNeeded
+      }
+    };
+  });
+
+  return {
+    takenAt: today.toISOString(),
+    threshold,
+    students,
+    missingSheets: warnings.map(warning => warning.sheet),
+    warnings
+  };
+}
+
+// Snapshot sections filled from each optional sheet
+function sheetSections() {
+  return {
+    Attendance: ['absences', 'monthlyAbsent', 'attendance'],
+    [getSheetSchema('tests').sheet]: ['tests'],
+    [getSheetSchema('assignments').sheet]: ['overdue']
+  };
+}
+
+// The snapshot to keep after a run, without its warnings. Sections of a
+// sheet missing this time keep what the previous snapshot saw, so the
+// sheet coming back isn't taken for a batch of new events.
+function carryOverMissingSheets(previous, current) {
+  const { warnings, ...snapshot } = current;
+  const sections = sheetSections();
+
+  snapshot.missingSheets = current.missingSheets.filter(sheet => {
+    if (!previous || (previous.missingSheets || []).includes(sheet)) return true;
+
+    Object.keys(snapshot.students).forEach(admissionNo => {
+      const before = previous.students[admissionNo];
+      if (!before) return;
+      sections[sheet].forEach(section => { snapshot.students[admissionNo][section] = before[section]; });
+    });
+    return false;
+  });
+
+  return snapshot;
+}
+
+// Tests with marks entered. A test column is often filled in before the
+// marks, which must not go out to parents as a score of 0.
+function getMarkedTests(testsRow, testsHeaders, gradingScale) {
+  return processHorizontalTests(testsRow, testsHeaders, gradingScale, []).filter(isScored);
+}
+
+// Events between two snapshots: [{ type, admissionNo, key, details }], the
+// key identifying the event for deduplication. Students missing from the
+// previous snapshot are new to the workbook and only become a baseline, as
+// do sections of a sheet missing from either snapshot.
+function detectEvents(previous, current) {
+  const events = [];
+  const missing = [...(previous.missingSheets || []), ...(current.missingSheets || [])];
+  const compared = sheet => !missing.includes(sheet);
+  const testsSheet = getSheetSchema('tests').sheet;
+  const assignmentsSheet = getSheetSchema('assignments').sheet;
+
+  Object.keys(current.students).forEach(admissionNo => {
+    const before = previous.students[admissionNo];
+    const now = current.students[admissionNo];
+    if (!before) return;
+
+    const add = (type, key, details) => events.push({ type, admissionNo, key: `${admissionNo}:${type}:${key}`, details });
+
+    if (compared('Attendance')) {
+      const newAbsences = now.absences.filter(date => !before.absences.includes(date));
+      if (newAbsences.length > 0) {
+        add('absence', newAbsences.join(','), { dates: newAbsences.join(', '), days: newAbsences.length });
+      }
+
+      Object.keys(now.monthlyAbsent).forEach(month => {
+        const extra = now.monthlyAbsent[month] - (before.monthlyAbsent[month] || 0);
+        if (extra > 0) {
+          add('absence', `${month}:${now.monthlyAbsent[month]}`, { dates: month, days: extra });
+        }
+      });
+    }
+
+    if (compared(testsSheet)) {
+      Object.keys(now.tests).forEach(key => {
+        if (!before.tests[key]) add('marks', key, now.tests[key]);
+      });
+    }
+
+    if (compared(assignmentsSheet)) {
+      Object.keys(now.overdue).forEach(key => {
+        if (!before.overdue[key]) add('overdue_assignment', key, now.overdue[key]);
+      });
+    }
+
+    if (compared('Attendance') && now.attendance.belowThreshold && !before.attendance.belowThreshold) {
+      add('low_attendance', current.takenAt.substring(0, 10), { ...now.attendance, threshold: current.threshold });
+    }
+  });
+
+  return events;
+}
+
+module.exports = {
+  buildSnapshot,
+  carryOverMissingSheets,
+  detectEvents
+};
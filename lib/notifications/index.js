@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { buildSnapshot, carryOverMissingSheets, detectEvents } = require('./events');
+const { renderTemplate } = require('./templates');
+const { createChannels } = require('./channels');
+
+// Failed messages are retried on the next runs before being dropped
+const MAX_ATTEMPTS = 3;
+
+// Sent message keys are remembered this long for deduplication
+const SENT_RETENTION_DAYS = 180;
+
+// Quiet hours are in the school's time zone, not the server's
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+// Parent notifications. Each run compares the workbook with the snapshot
+// kept from the previous run, turns what changed into messages for the
+// student's `contact` (emails and phone numbers), and sends them through
+// every configured channel. State lives in one JSON file:
+//   snapshot - what the last run saw (see events.js)
+//   sent     - message keys already delivered, so nothing goes out twice
+//   pending  - messages held back by quiet hours or waiting for a retry
+// The first run only records a snapshot, so parents aren't sent the whole
+// history at once.
+function createNotifier({ channels, templates, stateFile, quietHours, timeZone, schoolName, threshold, gradingScale, fetchWorkbook }) {
+  const activeChannels = channels.filter(channel => channel.configured);
+  const quiet = parseQuietHours(quietHours);
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(zone)) {
+    throw new Error(`Invalid notification time zone "${zone}". Use an IANA name such as Asia/Kolkata.`);
+  }
+  let running = null;
+
+  async function loadState() {
+    try {
+      return JSON.parse(await fs.promises.readFile(stateFile, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { snapshot: null, sent: {}, pending: [] };
+      throw error;
+    }
+  }
+
+  async function saveState(state) {
+    await fs.promises.mkdir(path.dirname(stateFile), { recursive: true });
+    await fs.promises.writeFile(stateFile, JSON.stringify(state));
+  }
+
+  // Render one message per event, channel and matching contact
+  function buildMessages(events, snapshot) {
+    const messages = [];
+    const unreachable = [];
+
+    events.forEach(event => {
+      const student = snapshot.students[event.admissionNo];
+      const contacts = parseContacts(student.contact);
+      const template = templates[event.type];
+      const values = {
+        schoolName,
+        studentName: student.name,
+        class: student.class,
+        admissionNo: event.admissionNo,
+        ...event.details
+      };
+      const subject = renderTemplate(template.subject, values);
+      const text = renderTemplate(template.text, values);
+      let recipients = 0;
+
+      activeChannels.forEach(channel => {
+        const addresses = channel.recipient === 'email' ? contacts.emails
+          : channel.recipient === 'phone' ? contacts.phones
+            : [...contacts.emails, ...contacts.phones];
+
+        addresses.forEach(to => {
+          recipients++;
+          messages.push({
+            key: `${event.key}|${channel.name}|${to}`,
+            channel: channel.name,
+            to,
+            subject,
+            text,
+            studentId: event.admissionNo,
+            event: event.type
+          });
+        });
+      });
+
+      if (recipients === 0) {
+        unreachable.push({ admissionNo: event.admissionNo, name: student.name, event: event.type });
+      }
+    });
+
+    return { messages, unreachable };
+  }
+
+  async function dispatch(messages, state, now) {
+    const result = { sent: 0, failed: 0, pending: [] };
+
+    for (const message of messages) {
+      const channel = activeChannels.find(c => c.name === message.channel);
+      if (!channel) continue;
+
+      try {
+        await channel.send(message);
+        state.sent[message.key] = now.toISOString();
+        result.sent++;
+      } catch (error) {
+        console.error(`Could not send ${message.event} notification to ${message.to} via ${message.channel}:`, error.message);
+        const attempts = (message.attempts || 0) + 1;
+        if (attempts < MAX_ATTEMPTS) {
+          result.pending.push({ ...message, attempts });
+        } else {
+          result.failed++;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  async function check({ dryRun }) {
+    const now = new Date();
+    const workbook = await fetchWorkbook();
+    const taken = buildSnapshot(workbook.data, { threshold, today: now, gradingScale });
+    const state = await loadState();
+    const current = carryOverMissingSheets(state.snapshot, taken);
+    const quietNow = isQuietTime(now, quiet, zone);
+    // Sheets missing from the workbook, whose events wait until they are back
+    const warnings = taken.warnings;
+
+    if (!state.snapshot) {
+      if (!dryRun) await saveState({ snapshot: current, sent: {}, pending: [] });
+      return { dryRun, baseline: true, quietHours: quietNow, events: 0, messages: [], unreachable: [], warnings };
+    }
+
+    const events = detectEvents(state.snapshot, current);
+    const { messages, unreachable } = buildMessages(events, current);
+
+    // Per-student deduplication: a message key goes out once
+    const queued = new Set(state.pending.map(message => message.key));
+    const fresh = messages.filter(message => !state.sent[message.key] && !queued.has(message.key));
+    const outbox = [...state.pending, ...fresh];
+
+    if (dryRun) {
+      return { dryRun, baseline: false, quietHours: quietNow, events: events.length, messages: outbox, unreachable, warnings };
+    }
+
+    const result = quietNow
+      ? { sent: 0, failed: 0, pending: outbox }
+      : await dispatch(outbox, state, now);
+
+    await saveState({
+      snapshot: current,
+      sent: pruneSent(state.sent, now),
+      pending: result.pending
+    });
+
+    return {
+      dryRun,
+      baseline: false,
+      quietHours: quietNow,
+      events: events.length,
+      sent: result.sent,
+      queued: result.pending.length,
+      failed: result.failed,
+      unreachable,
+      warnings
+    };
+  }
+
+  // Detect, render and send; only one run at a time
+  function run() {
+    if (!running) {
+      running = check({ dryRun: false }).finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  // What the next run would send, without sending or saving anything
+  function preview() {
+    return check({ dryRun: true });
+  }
+
+  function getStatus() {
+    return {
+      channels: channels.map(channel => ({ name: channel.name, configured: channel.configured })),
+      quietHours: quietHours || null,
+      timeZone: zone
+    };
+  }
+
+  return { run, preview, getStatus };
+}
+
+// Emails and phone numbers from a contact cell
+// ("98765 43210, parent@example.com")
+function parseContacts(contact) {
+  const emails = [];
+  const phones = [];
+
+  String(contact || '').split(/[,;/]+/).forEach(part => {
+    const value = part.trim();
+    if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      emails.push(value);
+    } else if (value.replace(/\D/g, '').length >= 10) {
+      phones.push((value.startsWith('+') ? '+' : '') + value.replace(/\D/g, ''));
+    }
+  });
+
+  return { emails, phones };
+}
+
+// "21:00-07:00" => { start, end } in minutes after midnight, or null
+function parseQuietHours(text) {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  return {
+    start: parseInt(match[1]) * 60 + parseInt(match[2]),
+    end: parseInt(match[3]) * 60 + parseInt(match[4])
+  };
+}
+
+// Whether a time falls in the quiet hours, which may wrap past midnight.
+// Hours are read on the clock of `timeZone` (an IANA name).
+function isQuietTime(date, quiet, timeZone = DEFAULT_TIME_ZONE) {
+  if (!quiet || quiet.start === quiet.end) return false;
+  const parts = new Intl.DateTimeFormat('en-GB', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+    .formatToParts(date);
+  const part = type => parseInt(parts.find(p => p.type === type).value);
+  const minutes = part('hour') * 60 + part('minute');
+  return quiet.start < quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function pruneSent(sent, now) {
+  const cutoff = now.getTime() - SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const kept = {};
+  Object.keys(sent).forEach(key => {
+    if (new Date(sent[key]).getTime() >= cutoff) kept[key] = sent[key];
+  });
+  return kept;
+}
+
+module.exports = {
+  createNotifier,
+  createChannels,
+  parseContacts,
+  parseQuietHours,
+  isQuietTime
+};
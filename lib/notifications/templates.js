@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+
+// Message templates per event type ({ subject, text }) with {{placeholders}}
+// filled from the student and event details. The defaults are in
+// config/notificationTemplates.json.
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', '..', 'config', 'notificationTemplates.json');
+
+const EVENT_TYPES = ['absence', 'marks', 'overdue_assignment', 'low_attendance'];
+
+let loadedTemplates = null;
+
+// Read and check a templates file
+function loadTemplates(file) {
+  const templates = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  EVENT_TYPES.forEach(type => {
+    if (!templates[type] || typeof templates[type].text !== 'string') {
+      throw new Error(`Notification templates ${file}: "${type}" needs at least a text template`);
+    }
+  });
+
+  return templates;
+}
+
+// Templates in use, loaded once from NOTIFICATION_TEMPLATES_FILE or the bundled config
+function getTemplates() {
+  if (!loadedTemplates) {
+    loadedTemplates = loadTemplates(process.env.NOTIFICATION_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE);
+  }
+  return loadedTemplates;
+}
+
+// Replace {{name}} placeholders; unknown or empty values become ''
+function renderTemplate(template, values) {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    values[name] === undefined || values[name] === null ? '' : String(values[name]));
+}
+
+module.exports = {
+  EVENT_TYPES,
+  loadTemplates,
+  getTemplates,
+  renderTemplate
+};
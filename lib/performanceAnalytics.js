@@ -0,0 +1,240 @@
+const {
+  processHorizontalTests,
+  processHorizontalSubjects,
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  getOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { getSheetSchema } = require('./sheetSchema');
+const { termForMonth } = require('./academicCalendar');
+const { isScored } = require('./grading');
+const { findStudentsByClass, mean, round } = require('./classReport');
+
+// Trends flatter than this (percentage points per 30 days) count as steady
+const STEADY_SLOPE = 1;
+
+// Fewest months needed before the attendance/score correlation means anything
+const MIN_CORRELATION_MONTHS = 3;
+
+// "Strengths and areas to improve" for one student, from a
+// buildStudentResponse()-style result (tests and attendance already limited
+// to the selected term) compared with the rest of the class in the same
+// Tests and Subjects sheets.
+// Options: calendar and term, to limit classmates' tests the same way
+function buildPerformanceAnalytics(sheetsData, studentData, { calendar, term } = {}) {
+  const classmates = getClassmates(sheetsData, studentData.studentInfo.class, { calendar, term });
+  const admissionNo = studentData.studentInfo.admissionNo;
+  // Tests without marks entered yet have no score to compare
+  const scoredTests = studentData.tests.filter(isScored);
+
+  const subjects = groupTestsBySubject(scoredTests).map(({ subject, subjectId, tests }) => {
+    const classPercentages = classmates.flatMap(c => c.tests.filter(t => t.subjectId === subjectId).map(t => t.percentage));
+    const averagePercentage = round(mean(tests.map(test => test.percentage)));
+    const classAverage = classPercentages.length > 0 ? round(mean(classPercentages)) : null;
+
+    return {
+      subject,
+      subjectId,
+      tests: tests.length,
+      averagePercentage,
+      classAveragePercentage: classAverage,
+      differenceFromClass: classAverage !== null ? round(averagePercentage - classAverage) : null,
+      trend: calculateTrend(tests)
+    };
+  });
+
+  const progress = studentData.subjectProgress.map(item => {
+    const classProgress = classmates
+      .map(c => c.subjectProgress.find(s => s.subjectId === item.subjectId))
+      .filter(Boolean)
+      .map(s => s.progress);
+    const classAverage = classProgress.length > 0 ? round(mean(classProgress)) : null;
+
+    return {
+      subject: item.subject,
+      subjectId: item.subjectId,
+      progress: item.progress,
+      classAverageProgress: classAverage,
+      differenceFromClass: classAverage !== null ? round(item.progress - classAverage) : null
+    };
+  });
+
+  const ranked = [...subjects].sort((a, b) => b.averagePercentage - a.averagePercentage);
+  const { strengths, areasToImprove } = classifySubjects(subjects, progress);
+
+  return {
+    subjects,
+    progress,
+    bestSubject: ranked.length > 0 ? pickSubject(ranked[0]) : null,
+    worstSubject: ranked.length > 1 ? pickSubject(ranked[ranked.length - 1]) : null,
+    classPercentile: calculateClassPercentile(admissionNo, scoredTests, classmates),
+    attendanceCorrelation: correlateAttendance(studentData.attendance, scoredTests),
+    strengths,
+    areasToImprove
+  };
+}
+
+// Subjects at or above the class average and not declining are strengths;
+// those below it or declining need work. Subjects without tests in the
+// period are judged on progress against the class instead.
+function classifySubjects(subjects, progress) {
+  const strengths = [];
+  const areasToImprove = [];
+
+  subjects.forEach(s => {
+    const declining = Boolean(s.trend) && s.trend.direction === 'declining';
+    if (declining || (s.differenceFromClass !== null && s.differenceFromClass < 0)) {
+      areasToImprove.push(s.subject);
+    } else if (s.differenceFromClass !== null) {
+      strengths.push(s.subject);
+    }
+  });
+
+  progress
+    .filter(p => p.differenceFromClass !== null && !subjects.some(s => s.subjectId === p.subjectId))
+    .forEach(p => (p.differenceFromClass < 0 ? areasToImprove : strengths).push(p.subject));
+
+  return { strengths, areasToImprove };
+}
+
+// Tests, subject progress and admission number of everyone in the class
+function getClassmates(sheetsData, className, { calendar, term }) {
+  const sheets = indexSheetsByName(sheetsData);
+  const studentsSheet = getSheet(sheets, 'Students');
+  const testsSheet = getOptionalSheet(sheets, getSheetSchema('tests').sheet);
+  const subjectsSheet = getOptionalSheet(sheets, 'Subjects');
+
+  const studentsHeaders = studentsSheet.values[0] || [];
+  const testsHeaders = testsSheet.values[0] || [];
+  const subjectsHeaders = subjectsSheet.values[0] || [];
+
+  return findStudentsByClass(studentsSheet.values, studentsHeaders, className).map(row => {
+    const admissionNo = getValueByHeader(row, studentsHeaders, 'admission_no');
+    const testsRow = findStudentByAdmissionNo(testsSheet.values, testsHeaders, admissionNo);
+    const subjectsRow = findStudentByAdmissionNo(subjectsSheet.values, subjectsHeaders, admissionNo);
+
+    return {
+      admissionNo,
+      tests: processHorizontalTests(testsRow, testsHeaders)
+        .filter(test => isScored(test) && isInTerm(test, calendar, term)),
+      subjectProgress: processHorizontalSubjects(subjectsRow, subjectsHeaders)
+    };
+  });
+}
+
+// Same rule as applyAcademicCalendar: a test belongs to a term by its date
+function isInTerm(test, calendar, term) {
+  if (!term || !calendar) return true;
+  const date = parseSheetDate(test.date);
+  const testTerm = date ? termForMonth(date.getMonth() + 1, calendar) : null;
+  return Boolean(testTerm) && String(testTerm.term) === String(term);
+}
+
+function groupTestsBySubject(tests) {
+  const groups = [];
+  tests.forEach(test => {
+    let group = groups.find(g => g.subjectId === test.subjectId);
+    if (!group) {
+      group = { subject: test.subject, subjectId: test.subjectId, tests: [] };
+      groups.push(group);
+    }
+    group.tests.push(test);
+  });
+  return groups;
+}
+
+// Least-squares slope of test percentage against test date, in percentage
+// points per 30 days. Needs at least two dated tests on different days.
+function calculateTrend(tests) {
+  const points = tests
+    .map(test => ({ date: parseSheetDate(test.date), percentage: test.percentage }))
+    .filter(point => point.date);
+  if (points.length < 2) return null;
+
+  const first = Math.min(...points.map(point => point.date.getTime()));
+  const xs = points.map(point => (point.date.getTime() - first) / (30 * 24 * 60 * 60 * 1000));
+  const ys = points.map(point => point.percentage);
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+  if (spread === 0) return null;
+
+  const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / spread;
+
+  return {
+    slope: Math.round(slope * 100) / 100,
+    direction: Math.abs(slope) < STEADY_SLOPE ? 'steady' : (slope > 0 ? 'improving' : 'declining'),
+    tests: points.length
+  };
+}
+
+function pickSubject(subject) {
+  return { subject: subject.subject, averagePercentage: subject.averagePercentage };
+}
+
+// Where the student's average test percentage sits in the class: the share
+// of classmates below them, counting ties as half
+function calculateClassPercentile(admissionNo, tests, classmates) {
+  if (tests.length === 0) return null;
+
+  const average = mean(tests.map(test => test.percentage));
+  const others = classmates
+    .filter(c => c.admissionNo !== admissionNo && c.tests.length > 0)
+    .map(c => mean(c.tests.map(test => test.percentage)));
+
+  if (others.length === 0) return null;
+
+  const below = others.filter(value => value < average).length;
+  const equal = others.filter(value => value === average).length;
+
+  return {
+    percentile: Math.round(((below + equal / 2) / others.length) * 100),
+    rank: others.filter(value => value > average).length + 1,
+    classSize: others.length + 1,
+    averagePercentage: round(average)
+  };
+}
+
+// Pearson correlation between each month's attendance and the average of
+// the tests taken that month
+function correlateAttendance(attendance, tests) {
+  const months = attendance
+    .map(month => {
+      const monthTests = tests.filter(test => {
+        const date = parseSheetDate(test.date);
+        return date &&
+          date.toLocaleString('en-US', { month: 'long' }).toLowerCase() === String(month.month).toLowerCase() &&
+          (!month.year || date.getFullYear() === month.year);
+      });
+      return monthTests.length > 0
+        ? { month: month.month, attendancePercentage: month.percentage, testAverage: round(mean(monthTests.map(t => t.percentage))) }
+        : null;
+    })
+    .filter(Boolean);
+
+  let coefficient = null;
+  if (months.length >= MIN_CORRELATION_MONTHS) {
+    const xs = months.map(m => m.attendancePercentage);
+    const ys = months.map(m => m.testAverage);
+    const meanX = mean(xs);
+    const meanY = mean(ys);
+    const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+    const spreadX = Math.sqrt(xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0));
+    const spreadY = Math.sqrt(ys.reduce((sum, y) => sum + (y - meanY) ** 2, 0));
+    if (spreadX > 0 && spreadY > 0) {
+      coefficient = Math.round((covariance / (spreadX * spreadY)) * 100) / 100;
+    }
+  }
+
+  return { coefficient, months };
+}
+
+module.exports = {
+  buildPerformanceAnalytics,
+  calculateTrend,
+  calculateClassPercentile,
+  correlateAttendance
+};
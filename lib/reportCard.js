@@ -0,0 +1,313 @@
+const path = require('path');
+const axios = require('axios');
+const PDFDocument = require('pdfkit');
+
+// Printable progress report built from the processStudentData() response.
+// Rendered with PDFKit so it runs server-side without a browser.
+
+const PAGE_MARGIN = 40;
+const CELL_PADDING = 4;
+
+// Noto Sans Devanagari covers Latin as well as Hindi names, subjects and
+// remarks, which the built-in Helvetica cannot show
+const FONT_DIR = path.dirname(require.resolve('@expo-google-fonts/noto-sans-devanagari/package.json'));
+const FONTS = {
+  regular: path.join(FONT_DIR, '400Regular', 'NotoSansDevanagari_400Regular.ttf'),
+  bold: path.join(FONT_DIR, '700Bold', 'NotoSansDevanagari_700Bold.ttf')
+};
+
+// Bars below this attendance % are drawn in red unless a threshold is given
+const DEFAULT_THRESHOLD = 75;
+
+// Default branding, overridden per school from env/config
+const DEFAULT_BRANDING = {
+  schoolName: 'Kendriya Vidyalaya',
+  address: '',
+  primaryColor: '#1a4e8a',
+  logoPath: null
+};
+
+// Download the student photo for the report. Only real http(s) images are
+// used; placeholders and failures just leave the photo out.
+async function loadPhoto(photoUrl) {
+  if (!/^https?:\/\//i.test(photoUrl || '')) return null;
+
+  try {
+    const response = await axios.get(photoUrl, { responseType: 'arraybuffer', timeout: 5000 });
+    const type = String(response.headers['content-type'] || '');
+    return /image\/(png|jpe?g)/i.test(type) ? Buffer.from(response.data) : null;
+  } catch (error) {
+    console.error(`Could not load student photo ${photoUrl}:`, error.message);
+    return null;
+  }
+}
+
+// Render the report card and resolve with the PDF as a Buffer.
+// Options: branding, photo (image Buffer) and threshold (attendance %)
+function renderReportCard(data, options = {}) {
+  const branding = { ...DEFAULT_BRANDING, ...(options.branding || {}) };
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_THRESHOLD;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true, font: FONTS.regular });
+    const chunks = [];
+    doc.registerFont('Regular', FONTS.regular);
+    doc.registerFont('Bold', FONTS.bold);
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawHeader(doc, data, branding);
+      drawStudentInfo(doc, data, options.photo);
+
+      drawSectionTitle(doc, 'Subject Progress', branding);
+      drawTable(doc, [
+        { header: 'Subject', width: 245, value: row => row.subject },
+        { header: 'Progress', width: 135, value: row => `${row.progress}%`, align: 'right' },
+        { header: 'Grade', width: 135, value: row => row.grade, align: 'center' }
+      ], data.subjectProgress, branding);
+
+      drawSectionTitle(doc, 'Tests', branding);
+      drawTable(doc, [
+        { header: 'Subject', width: 95, value: row => row.subject },
+        { header: 'Test', width: 140, value: row => row.name },
+        { header: 'Date', width: 75, value: row => row.date },
+        { header: 'Marks', width: 70, value: row => (row.marksObtained !== null ? `${row.marksObtained}/${row.maxMarks}` : null), align: 'right' },
+        { header: '%', width: 70, value: row => row.percentage, align: 'right' },
+        { header: 'Grade', width: 65, value: row => row.grade, align: 'center' }
+      ], data.tests, branding);
+
+      drawSectionTitle(doc, 'Attendance', branding);
+      drawTable(doc, [
+        { header: 'Month', width: 135, value: row => row.month },
+        { header: 'Working Days', width: 95, value: row => row.workingDays, align: 'right' },
+        { header: 'Present', width: 95, value: row => row.present, align: 'right' },
+        { header: 'Absent', width: 95, value: row => row.absent, align: 'right' },
+        { header: '%', width: 95, value: row => row.percentage, align: 'right' }
+      ], data.attendance, branding);
+      drawAttendanceChart(doc, data.attendance, branding, threshold);
+
+      drawSectionTitle(doc, 'Assignments', branding);
+      drawTable(doc, [
+        { header: 'Subject', width: 90, value: row => row.subject },
+        { header: 'Assignment', width: 150, value: row => row.name },
+        { header: 'Due', width: 75, value: row => row.dueDate },
+        { header: 'Status', width: 70, value: row => capitalize(row.status), align: 'center' },
+        { header: 'Remarks', width: 130, value: row => row.remarks }
+      ], data.assignments, branding);
+
+      drawSectionTitle(doc, 'Copy Corrections', branding);
+      drawTable(doc, [
+        { header: 'Subject', width: 90, value: row => row.subject },
+        { header: 'Copy', width: 90, value: row => row.copyType },
+        { header: 'Date', width: 75, value: row => row.date },
+        { header: 'Improvements', width: 130, value: row => row.improvements },
+        { header: 'Remarks', width: 130, value: row => row.remarks }
+      ], data.corrections, branding);
+
+      drawFooters(doc, data);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+function drawHeader(doc, data, branding) {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  let textX = PAGE_MARGIN;
+
+  if (branding.logoPath) {
+    try {
+      doc.image(branding.logoPath, PAGE_MARGIN, PAGE_MARGIN, { fit: [50, 50] });
+      textX += 60;
+    } catch (error) {
+      console.error(`Could not load school logo ${branding.logoPath}:`, error.message);
+    }
+  }
+
+  doc.fillColor(branding.primaryColor).font('Bold').fontSize(18)
+    .text(branding.schoolName, textX, PAGE_MARGIN, { width: width - (textX - PAGE_MARGIN) });
+
+  if (branding.address) {
+    doc.fillColor('#444444').font('Regular').fontSize(9)
+      .text(branding.address, textX, doc.y, { width: width - (textX - PAGE_MARGIN) });
+  }
+
+  doc.fillColor('#000000').font('Bold').fontSize(13)
+    .text('Student Progress Report', textX, doc.y + 4);
+
+  const lineY = Math.max(doc.y, PAGE_MARGIN + 50) + 6;
+  doc.moveTo(PAGE_MARGIN, lineY).lineTo(PAGE_MARGIN + width, lineY)
+    .lineWidth(2).strokeColor(branding.primaryColor).stroke();
+  doc.y = lineY + 10;
+}
+
+function drawStudentInfo(doc, data, photo) {
+  const info = data.studentInfo;
+  const top = doc.y;
+  const photoSize = 90;
+  const photoX = doc.page.width - PAGE_MARGIN - photoSize;
+
+  const lines = [
+    ['Name', info.name],
+    ['Class', info.class],
+    ['Admission No', info.admissionNo],
+    ['Roll No', info.rollNo],
+    ['Date of Birth', info.dob],
+    ['Attendance', data.summary.attendancePercentage],
+    ['Assignments', `${data.summary.completedAssignments} complete, ${data.summary.pendingAssignments} pending`]
+  ];
+
+  lines.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor('#444444').font('Bold').fontSize(10).text(`${label}:`, PAGE_MARGIN, y, { width: 95 });
+    doc.fillColor('#000000').font('Regular').text(value || '-', PAGE_MARGIN + 100, y, { width: photoX - PAGE_MARGIN - 110 });
+    doc.moveDown(0.2);
+  });
+
+  if (photo) {
+    try {
+      doc.image(photo, photoX, top, { fit: [photoSize, photoSize] });
+    } catch (error) {
+      console.error('Could not draw student photo:', error.message);
+    }
+  }
+
+  doc.y = Math.max(doc.y, top + photoSize) + 10;
+}
+
+function drawSectionTitle(doc, title, branding) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.5);
+  doc.fillColor(branding.primaryColor).font('Bold').fontSize(12)
+    .text(title, PAGE_MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.fillColor('#000000');
+}
+
+// Draw a simple bordered table, repeating the header row on new pages
+function drawTable(doc, columns, rows, branding) {
+  if (!rows || rows.length === 0) {
+    doc.font('Regular').fontSize(9).fillColor('#666666')
+      .text('No records yet.', PAGE_MARGIN, doc.y);
+    doc.fillColor('#000000');
+    return;
+  }
+
+  const drawRow = (cells, options) => {
+    doc.font(options.bold ? 'Bold' : 'Regular').fontSize(9);
+
+    const height = Math.max(...cells.map((cell, i) =>
+      doc.heightOfString(cell, { width: columns[i].width - CELL_PADDING * 2 }))) + CELL_PADDING * 2;
+
+    if (ensureSpace(doc, height) && !options.bold) {
+      drawRow(columns.map(column => column.header), { bold: true, fill: branding.primaryColor, color: '#ffffff' });
+      doc.font('Regular').fontSize(9);
+    }
+
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+
+    cells.forEach((cell, i) => {
+      const width = columns[i].width;
+      if (options.fill) doc.rect(x, y, width, height).fill(options.fill);
+      doc.rect(x, y, width, height).lineWidth(0.5).strokeColor('#999999').stroke();
+      doc.fillColor(options.color || '#000000')
+        .text(cell, x + CELL_PADDING, y + CELL_PADDING, {
+          width: width - CELL_PADDING * 2,
+          align: options.bold ? 'left' : (columns[i].align || 'left')
+        });
+      x += width;
+    });
+
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, fill: branding.primaryColor, color: '#ffffff' });
+  rows.forEach((row, index) => {
+    const cells = columns.map(column => {
+      const value = column.value(row);
+      return value === undefined || value === null || value === '' ? '-' : String(value);
+    });
+    drawRow(cells, { fill: index % 2 === 1 ? '#f2f5f9' : null });
+  });
+  doc.fillColor('#000000');
+}
+
+// Bar chart of monthly attendance percentages
+function drawAttendanceChart(doc, attendance, branding, threshold) {
+  if (!attendance || attendance.length === 0) return;
+
+  const chartHeight = 110;
+  const chartWidth = doc.page.width - PAGE_MARGIN * 2 - 30;
+  ensureSpace(doc, chartHeight + 40);
+
+  const top = doc.y + 12;
+  const left = PAGE_MARGIN + 30;
+  const bottom = top + chartHeight;
+  const slot = chartWidth / attendance.length;
+  const barWidth = Math.min(30, slot * 0.6);
+
+  // Axis and gridlines at 0, 25, 50, 75 and 100%
+  doc.font('Regular').fontSize(7).fillColor('#666666');
+  [0, 25, 50, 75, 100].forEach(percent => {
+    const y = bottom - (percent / 100) * chartHeight;
+    doc.moveTo(left, y).lineTo(left + chartWidth, y).lineWidth(0.3).strokeColor('#cccccc').stroke();
+    doc.text(`${percent}%`, PAGE_MARGIN, y - 3, { width: 26, align: 'right' });
+  });
+
+  attendance.forEach((month, index) => {
+    const percentage = Math.max(0, Math.min(100, month.percentage || 0));
+    const barHeight = (percentage / 100) * chartHeight;
+    const x = left + slot * index + (slot - barWidth) / 2;
+
+    doc.rect(x, bottom - barHeight, barWidth, barHeight)
+      .fill(percentage < threshold ? '#c0392b' : branding.primaryColor);
+    doc.fillColor('#333333').fontSize(7)
+      .text(month.month.substring(0, 3), x - 5, bottom + 3, { width: barWidth + 10, align: 'center' });
+  });
+
+  doc.fillColor('#000000');
+  doc.y = bottom + 16;
+}
+
+function drawFooters(doc, data) {
+  const range = doc.bufferedPageRange();
+  const generated = `Generated ${new Date().toLocaleDateString('en-IN')}` +
+    (data.dataAsOf ? ` from data as of ${new Date(data.dataAsOf).toLocaleString('en-IN')}` : '');
+
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const y = doc.page.height - PAGE_MARGIN + 10;
+    // Writing inside the bottom margin, so stop PDFKit from adding a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Regular').fontSize(8).fillColor('#666666')
+      .text(generated, PAGE_MARGIN, y, { width: 350, lineBreak: false })
+      .text(`Page ${i - range.start + 1} of ${range.count}`, doc.page.width - PAGE_MARGIN - 100, y, { width: 100, align: 'right', lineBreak: false });
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+// Start a new page when fewer than `height` points are left.
+// Returns true when a page was added.
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+}
+
+function capitalize(value) {
+  const text = String(value || '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+  loadPhoto,
+  renderReportCard
+};
@@ -0,0 +1,540 @@
+const { getSheetSchemas, getSheetSchema, convertFieldValue, itemColumnPattern } = require('./sheetSchema');
+const { subjectName, subjectId } = require('./subjects');
+const { getGradingScale, deriveTestScores, deriveAttendancePercentages } = require('./grading');
+const { studentNotFound, sheetMissing, sheetMalformed } = require('./errors');
+
+// Codes used in a day-wise attendance register
+const ATTENDANCE_CODES = {
+  P: 'present',
+  A: 'absent',
+  L: 'leave',
+  H: 'holiday'
+};
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Process the Google Sheets response with horizontal data structure.
+// Options: gradingScale (defaults to the configured scale) and session
+// ({ startYear, startMonth }, months 1-12) to keep only the register days of
+// that session and order attendance months from its first month
+//
+// Only the Students sheet is required. Any other sheet that is missing or
+// malformed leaves its section empty and is reported in `warnings`.
+function processStudentData(sheetsData, admissionNumber, options = {}) {
+  try {
+    const gradingScale = options.gradingScale || getGradingScale();
+    
+    // Percentages/grades computed here that disagree with the sheet
+    const dataMismatches = [];
+    
+    // Sections that could not be read: [{ code, sheet, message }]
+    const warnings = [];
+    
+    // Extract value ranges from the response, by sheet name
+    const sheets = indexSheetsByName(sheetsData);
+    const studentsSheet = getSheet(sheets, 'Students');
+    
+    // Extract headers from the Students sheet
+    const studentsHeaders = studentsSheet.values[0];
+    if (!studentsHeaders || !studentsHeaders.some(h => String(h).toLowerCase() === 'admission_no')) {
+      throw sheetMalformed('Students', 'has no header row with an admission_no column');
+    }
+    
+    // Find student info row
+    const studentData = findStudentByAdmissionNo(studentsSheet.values, studentsHeaders, admissionNumber);
+    
+    if (!studentData) {
+      throw studentNotFound(admissionNumber);
+    }
+    
+    // Extract student basic info
+    const studentInfo = {
+      name: getValueByHeader(studentData, studentsHeaders, 'name'),
+      class: getValueByHeader(studentData, studentsHeaders, 'class'),
+      admissionNo: getValueByHeader(studentData, studentsHeaders, 'admission_no'),
+      rollNo: getValueByHeader(studentData, studentsHeaders, 'roll_no'),
+      dob: getValueByHeader(studentData, studentsHeaders, 'dob'),
+      contact: getValueByHeader(studentData, studentsHeaders, 'contact'),
+      photoUrl: getValueByHeader(studentData, studentsHeaders, 'photo_url') || '/api/placeholder/120/120'
+    };
+    
+    // Find student data rows for horizontal sheets
+    const subjects = readStudentRow(sheets, 'Subjects', admissionNumber, warnings);
+    const attendanceData = readStudentRow(sheets, 'Attendance', admissionNumber, warnings);
+    
+    // Process subjects (horizontal format)
+    const subjectProgress = processHorizontalSubjects(subjects.row, subjects.headers);
+    
+    // Process every schema sheet (activities, assignments, tests, corrections
+    // and any sheet added to the schema config)
+    const items = {};
+    getSheetSchemas().forEach(schema => {
+      const { row, headers } = readStudentRow(sheets, schema.sheet, admissionNumber, warnings);
+      items[schema.responseKey] = processHorizontalSheet(row, headers, schema);
+    });
+    
+    const testsKey = getSheetSchema('tests').responseKey;
+    const assignmentsKey = getSheetSchema('assignments').responseKey;
+    const allTests = items[testsKey] = deriveTestScores(items[testsKey], gradingScale, dataMismatches);
+    const assignments = items[assignmentsKey];
+    
+    // The 5 most recent tests
+    const recentTests = getRecentTests(allTests);
+    
+    // Every section again, grouped by subject for per-subject views
+    const subjectGroups = groupBySubject(subjectProgress, items);
+    
+    // Process attendance (horizontal format)
+    const attendance = processHorizontalAttendance(attendanceData.row, attendanceData.headers, dataMismatches, options.session);
+    
+    // Calculate summary statistics
+    const completedAssignments = assignments.filter(a => a.status === 'complete').length;
+    const pendingAssignments = assignments.filter(a => a.status === 'pending').length;
+    const overallAttendance = calculateOverallAttendance(attendance);
+    
+    // Compile all data
+    return {
+      studentInfo,
+      subjectProgress,
+      recentTests,
+      ...items,
+      subjects: subjectGroups,
+      attendance,
+      summary: {
+        totalSubjects: subjectProgress.length,
+        completedAssignments,
+        pendingAssignments,
+        attendancePercentage: `${overallAttendance.toFixed(1)}%`
+      },
+      dataMismatches,
+      warnings
+    };
+  } catch (error) {
+    // Unknown students and bad sheets are reported to the client, not logged
+    if (!error.status) console.error('Error processing student data:', error);
+    throw error;
+  }
+}
+
+// Headers and the student's row from a sheet that is allowed to be
+// missing or malformed; problems are added to `warnings` and read as empty
+function readStudentRow(sheets, sheetName, admissionNumber, warnings) {
+  const sheet = readOptionalSheet(sheets, sheetName, warnings);
+  if (!sheet.range) return { headers: [], row: null };
+  
+  const values = sheet.values;
+  const headers = values[0] || [];
+  if (!headers.some(h => String(h).toLowerCase() === 'admission_no')) {
+    const problem = values.length === 0 ? 'is empty' : 'has no admission_no column';
+    warnings.push({ code: 'SHEET_MALFORMED', sheet: sheetName, message: `Sheet ${sheetName} ${problem}` });
+    return { headers, row: null };
+  }
+  
+  return { headers, row: findStudentByAdmissionNo(values, headers, admissionNumber) };
+}
+
+// Process horizontally structured subjects data
+function processHorizontalSubjects(studentRow, headers) {
+  if (!studentRow) return [];
+  
+  // Process all subject columns
+  // Format expected: subject_progress, subject_grade (math_progress, math_grade, etc.)
+  const subjects = [];
+  const progressSuffix = '_progress';
+  const gradeSuffix = '_grade';
+  
+  for (let i = 0; i < headers.length; i++) {
+    const header = String(headers[i]).trim().toLowerCase();
+    
+    if (header.endsWith(progressSuffix)) {
+      const subject = header.substring(0, header.length - progressSuffix.length);
+      const progress = parseFloat(studentRow[i] || 0);
+      
+      // Find the matching grade column
+      const gradeHeader = `${subject}${gradeSuffix}`;
+      const gradeIndex = headers.findIndex(h => String(h).trim().toLowerCase() === gradeHeader);
+      const grade = gradeIndex !== -1 ? studentRow[gradeIndex] : '';
+      
+      // Only add subjects that have progress values
+      if (!isNaN(progress) && progress > 0) {
+        subjects.push({
+          subject: subjectName(subject),
+          subjectId: subjectId(subject),
+          progress: progress,
+          grade: grade
+        });
+      }
+    }
+  }
+  
+  return subjects;
+}
+
+// Process any horizontally structured item sheet described by a schema
+// (see lib/sheetSchema.js). Items are columns named <subject>_<keyword>N
+// with their details in <subject>_<keyword>N_<suffix> columns; the subject
+// may be several words (see lib/subjects.js).
+function processHorizontalSheet(studentRow, headers, schema) {
+  if (!studentRow) return [];
+  
+  const items = [];
+  const itemPattern = itemColumnPattern(schema);
+  const headerNames = headers.map(h => String(h).trim().toLowerCase());
+  
+  // First, identify all subjects and items
+  const itemMap = {};
+  
+  for (let i = 0; i < headerNames.length; i++) {
+    const header = headerNames[i];
+    
+    // Look for subject_<keyword>N pattern
+    const match = header.match(itemPattern);
+    if (match) {
+      const itemKey = header;
+      const item = { subject: match[1], name: studentRow[i], fields: {} };
+      
+      // Look for related fields
+      for (const field in schema.fields) {
+        const definition = schema.fields[field];
+        const fieldIndex = headerNames.indexOf(`${itemKey}_${definition.suffix}`);
+        item.fields[field] = convertFieldValue(fieldIndex !== -1 ? studentRow[fieldIndex] : undefined, definition);
+      }
+      
+      itemMap[itemKey] = item;
+    }
+  }
+  
+  // Convert the map to an array
+  for (const key in itemMap) {
+    const item = itemMap[key];
+    // Only add items that have a value in the item column
+    if (item.name && item.name.trim() !== '') {
+      items.push({
+        // The item column ("math_test2"), unique where names may repeat
+        key,
+        subject: subjectName(item.subject),
+        subjectId: subjectId(item.subject),
+        [schema.itemField]: item.name,
+        ...item.fields
+      });
+    }
+  }
+  
+  return items;
+}
+
+// Process horizontally structured activities data
+function processHorizontalActivities(studentRow, headers) {
+  return processHorizontalSheet(studentRow, headers, getSheetSchema('activities'));
+}
+
+// Process horizontally structured assignments data
+function processHorizontalAssignments(studentRow, headers) {
+  return processHorizontalSheet(studentRow, headers, getSheetSchema('assignments'));
+}
+
+// Process horizontally structured tests data, with percentages and grades
+// computed from the marks
+function processHorizontalTests(studentRow, headers, gradingScale = getGradingScale(), mismatches = []) {
+  const tests = processHorizontalSheet(studentRow, headers, getSheetSchema('tests'));
+  return deriveTestScores(tests, gradingScale, mismatches);
+}
+
+// Process horizontally structured corrections data
+function processHorizontalCorrections(studentRow, headers) {
+  return processHorizontalSheet(studentRow, headers, getSheetSchema('corrections'));
+}
+
+// Process horizontally structured attendance data, with percentages
+// computed from present/working days. Months come in session order (from
+// April when no session is given).
+function processHorizontalAttendance(studentRow, headers, mismatches = [], session = null) {
+  if (!studentRow) return [];
+  
+  // Process all month columns
+  // Format expected: month_working, month_present, month_absent, month_percent
+  const attendance = [];
+  const workingSuffix = '_working';
+  const presentSuffix = '_present';
+  const absentSuffix = '_absent';
+  const percentSuffix = '_percent';
+  
+  const headerNames = headers.map(h => String(h).trim().toLowerCase());
+  
+  for (let i = 0; i < headerNames.length; i++) {
+    const header = headerNames[i];
+    
+    if (header.endsWith(workingSuffix)) {
+      const month = header.substring(0, header.length - workingSuffix.length);
+      const workingDays = parseInt(studentRow[i] || 0);
+      
+      // Find matching columns
+      const presentIndex = headerNames.indexOf(`${month}${presentSuffix}`);
+      const absentIndex = headerNames.indexOf(`${month}${absentSuffix}`);
+      const percentIndex = headerNames.indexOf(`${month}${percentSuffix}`);
+      
+      const present = presentIndex !== -1 ? parseInt(studentRow[presentIndex] || 0) : 0;
+      const absent = absentIndex !== -1 ? parseInt(studentRow[absentIndex] || 0) : 0;
+      const percentage = percentIndex !== -1 ? parseFloat(studentRow[percentIndex] || 0) : 0;
+      
+      // Only add months that have working days
+      if (!isNaN(workingDays) && workingDays > 0) {
+        attendance.push({
+          month: monthName(month),
+          workingDays: workingDays,
+          present: present,
+          absent: absent,
+          percentage: percentage
+        });
+      }
+    }
+  }
+  
+  // Months kept as a day-wise register replace any monthly totals for them
+  const registerDays = processDailyAttendance(studentRow, headers)
+    .filter(day => !session || isInSession(day.dateValue, session));
+  const registerMonths = summarizeDailyAttendance(registerDays);
+  const monthlyOnly = attendance.filter(month => !registerMonths.some(m => m.month === month.month));
+  
+  const months = sortAttendanceMonths([...monthlyOnly, ...registerMonths], session ? session.startMonth : undefined);
+  
+  return deriveAttendancePercentages(months, mismatches);
+}
+
+// Attendance months in the order of a session starting at startMonth (1-12,
+// April by default), then by year; unrecognised month names keep their
+// order at the end
+function sortAttendanceMonths(attendance, startMonth = 4) {
+  return attendance
+    .map((month, index) => ({ month, order: sessionMonthOrder(month, startMonth, index) }))
+    .sort((a, b) => a.order - b.order || (a.month.year || 0) - (b.month.year || 0))
+    .map(({ month }) => month);
+}
+
+// Whether a date falls inside the session starting startMonth of startYear
+function isInSession(date, { startYear, startMonth }) {
+  return date >= new Date(startYear, startMonth - 1, 1) && date < new Date(startYear + 1, startMonth - 1, 1);
+}
+
+// Position of an attendance month within a session starting at startMonth
+function sessionMonthOrder(month, startMonth, index) {
+  const number = MONTH_NAMES.indexOf(String(month.month).toLowerCase()) + 1;
+  return number > 0 ? (number - startMonth + 12) % 12 : 12 + index;
+}
+
+// Process a day-wise attendance register: one DD-MM-YYYY column per date
+// holding a P/A/L/H code. Returns the recorded days in date order;
+// blank cells and unknown codes are skipped.
+function processDailyAttendance(studentRow, headers) {
+  if (!studentRow) return [];
+  
+  const days = [];
+  
+  for (let i = 0; i < headers.length; i++) {
+    const date = parseSheetDate(headers[i]);
+    const code = String(studentRow[i] || '').trim().toUpperCase();
+    
+    if (date && ATTENDANCE_CODES[code]) {
+      days.push({ date: String(headers[i]).trim(), dateValue: date, code, status: ATTENDANCE_CODES[code] });
+    }
+  }
+  
+  return days.sort((a, b) => a.dateValue - b.dateValue);
+}
+
+// Roll register days up into the monthly attendance shape, one entry per
+// month of each year. Leave counts as absent (and separately as `leave`);
+// holidays are not working days.
+function summarizeDailyAttendance(days) {
+  const months = [];
+  
+  days.forEach(day => {
+    const month = capitalizeFirstLetter(MONTH_NAMES[day.dateValue.getMonth()]);
+    const year = day.dateValue.getFullYear();
+    let summary = months.find(m => m.month === month && m.year === year);
+    if (!summary) {
+      summary = { month, year, workingDays: 0, present: 0, absent: 0, leave: 0, percentage: 0 };
+      months.push(summary);
+    }
+    
+    if (day.status === 'holiday') return;
+    summary.workingDays++;
+    if (day.status === 'present') summary.present++;
+    if (day.status === 'absent' || day.status === 'leave') summary.absent++;
+    if (day.status === 'leave') summary.leave++;
+  });
+  
+  return months.filter(month => month.workingDays > 0);
+}
+
+// Items of every section grouped by subject ID: the subjects of the
+// Subjects sheet first, then any others in the order they appear.
+// `sections` maps response keys (tests, assignments...) to their items.
+function groupBySubject(subjectProgress, sections) {
+  const groups = [];
+  
+  function groupFor(item) {
+    let group = groups.find(g => g.subjectId === item.subjectId);
+    if (!group) {
+      group = { subjectId: item.subjectId, subject: item.subject, progress: null, grade: '' };
+      Object.keys(sections).forEach(key => { group[key] = []; });
+      groups.push(group);
+    }
+    return group;
+  }
+  
+  subjectProgress.forEach(item => {
+    const group = groupFor(item);
+    group.progress = item.progress;
+    group.grade = item.grade;
+  });
+  Object.keys(sections).forEach(key => {
+    sections[key].forEach(item => groupFor(item)[key].push(item));
+  });
+  
+  return groups;
+}
+
+// Full month name from a month column prefix ("sept" => "September");
+// anything else is kept as written
+function monthName(month) {
+  const key = month.replace(/[\s_]+/g, '').substring(0, 3);
+  const name = key.length === 3 ? MONTH_NAMES.find(m => m.startsWith(key)) : null;
+  return capitalizeFirstLetter(name || month);
+}
+
+// Sort tests by date (newest first) and take the 5 most recent.
+// Tests without a valid DD-MM-YYYY date go last.
+function getRecentTests(tests) {
+  return [...tests].sort((a, b) => {
+    const dateA = parseSheetDate(a.date);
+    const dateB = parseSheetDate(b.date);
+    if (!dateA || !dateB) return (dateA ? 0 : 1) - (dateB ? 0 : 1);
+    return dateB - dateA;
+  }).slice(0, 5).map(test => ({
+    subject: test.subject,
+    subjectId: test.subjectId,
+    name: test.name,
+    date: test.date,
+    marks: test.marksObtained !== null ? `${test.marksObtained}/${test.maxMarks}` : '-',
+    percentage: test.percentage,
+    grade: test.grade
+  }));
+}
+
+// Overall attendance weighted by working days (total present / total working)
+function calculateOverallAttendance(attendance) {
+  const workingDays = attendance.reduce((sum, month) => sum + month.workingDays, 0);
+  const present = attendance.reduce((sum, month) => sum + (isNaN(month.present) ? 0 : month.present), 0);
+  return workingDays > 0 ? (present / workingDays) * 100 : 0;
+}
+
+// Parse a DD-MM-YYYY sheet date, returning null for empty or malformed cells
+function parseSheetDate(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+  if (!match) return null;
+
+  const day = parseInt(match[1]);
+  const month = parseInt(match[2]);
+  const year = parseInt(match[3]);
+  const date = new Date(year, month - 1, day);
+
+  // Reject dates that rolled over, e.g. 31-02-2025
+  if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+// Map each value range in a batchGet response to its sheet name
+// ("Students!A1:G120" or "'Lab Records'!A1:Z40")
+function indexSheetsByName(sheetsData) {
+  const sheets = {};
+  (sheetsData.valueRanges || []).forEach(valueRange => {
+    const sheetName = valueRange.range.substring(0, valueRange.range.lastIndexOf('!'))
+      .replace(/^'(.*)'$/, '$1')
+      .replace(/''/g, "'");
+    sheets[sheetName.toLowerCase()] = valueRange;
+  });
+  return sheets;
+}
+
+// Get a sheet from indexSheetsByName(), with empty sheets as `values: []`
+function getSheet(sheets, sheetName) {
+  const valueRange = sheets[sheetName.toLowerCase()];
+  if (!valueRange) {
+    throw sheetMissing(sheetName);
+  }
+  return { ...valueRange, values: valueRange.values || [] };
+}
+
+// Like getSheet, but a missing sheet reads as empty
+function getOptionalSheet(sheets, sheetName) {
+  const valueRange = sheets[sheetName.toLowerCase()];
+  return { ...valueRange, values: (valueRange && valueRange.values) || [] };
+}
+
+// getOptionalSheet for reports that carry on without a sheet: a missing
+// sheet is also added to `warnings` as SHEET_MISSING
+function readOptionalSheet(sheets, sheetName, warnings) {
+  const sheet = getOptionalSheet(sheets, sheetName);
+  if (!sheet.range) {
+    warnings.push({ code: 'SHEET_MISSING', sheet: sheetName, message: `Sheet ${sheetName} is missing from the workbook` });
+  }
+  return sheet;
+}
+
+// Helper function to find a student by admission number
+function findStudentByAdmissionNo(values, headers, admissionNo) {
+  if (!headers) return null;
+  const admissionIndex = headers.findIndex(h => h.toLowerCase() === 'admission_no');
+  if (admissionIndex === -1) return null;
+  
+  // Skip header row (index 0) and find student
+  for (let i = 1; i < values.length; i++) {
+    if (values[i] && values[i][admissionIndex] === admissionNo) {
+      return values[i];
+    }
+  }
+  
+  return null;
+}
+
+// Helper function to get a value by header name
+function getValueByHeader(row, headers, headerName) {
+  const index = headers.findIndex(h => h.toLowerCase() === headerName.toLowerCase());
+  return index !== -1 ? (row[index] || '') : '';
+}
+
+// Utility function to capitalize first letter
+function capitalizeFirstLetter(string) {
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+module.exports = {
+  processStudentData,
+  processHorizontalSheet,
+  processHorizontalSubjects,
+  processHorizontalActivities,
+  processHorizontalAssignments,
+  processHorizontalTests,
+  processHorizontalCorrections,
+  processHorizontalAttendance,
+  sortAttendanceMonths,
+  isInSession,
+  processDailyAttendance,
+  summarizeDailyAttendance,
+  ATTENDANCE_CODES,
+  groupBySubject,
+  getRecentTests,
+  calculateOverallAttendance,
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  getOptionalSheet,
+  readOptionalSheet,
+  findStudentByAdmissionNo,
+  getValueByHeader,
+  capitalizeFirstLetter
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { SUBJECT_KEY_PATTERN } = require('./subjects');
+
+// Declarative schemas for the horizontal "item" sheets (Activities,
+// Assignments, Tests, Corrections and any sheet added to the config).
+//
+// Each schema describes one sheet whose columns look like
+//   <subject>_<keyword>N, <subject>_<keyword>N_<suffix>, ...
+// e.g. math_test1, math_test1_date, math_test1_max_marks. Subjects may be
+// several words (social_science_test1, see lib/subjects.js).
+//
+//   sheet        - tab name in the workbook
+//   columns      - column span to fetch, e.g. "A:ZZ"
+//   keyword      - item keyword in the header ("test" for math_test1)
+//   itemField    - response field holding the value of the bare item column
+//   responseKey  - key of the item list in the /api/student-data response
+//   fields       - response field => { suffix, type, values?, default? }
+//                  where type is string, date, int, float or enum
+
+const DEFAULT_SCHEMA_FILE = path.join(__dirname, '..', 'config', 'sheetSchemas.json');
+const FIELD_TYPES = ['string', 'date', 'int', 'float', 'enum'];
+
+// Columns that identify the student rather than describe an item
+const IDENTITY_COLUMNS = ['admission_no', 'name', 'class', 'roll_no'];
+
+let loadedSchemas = null;
+
+// Read and check a schema file, returning an array of schemas
+function loadSheetSchemas(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  return Object.keys(config).map(key => {
+    const schema = { key, ...config[key] };
+
+    if (!schema.sheet || !schema.keyword) {
+      throw new Error(`Sheet schema "${key}" needs a sheet and a keyword`);
+    }
+    if (!/^[a-z_]+$/.test(schema.keyword)) {
+      throw new Error(`Sheet schema "${key}" keyword must be lowercase letters or underscores`);
+    }
+
+    const fields = schema.fields || {};
+    Object.keys(fields).forEach(field => {
+      const definition = fields[field];
+      if (!definition.suffix || !FIELD_TYPES.includes(definition.type)) {
+        throw new Error(`Sheet schema "${key}" field "${field}" needs a suffix and a type (${FIELD_TYPES.join(', ')})`);
+      }
+      if (definition.type === 'enum' && !Array.isArray(definition.values)) {
+        throw new Error(`Sheet schema "${key}" enum field "${field}" needs a list of values`);
+      }
+    });
+
+    return {
+      ...schema,
+      columns: schema.columns || 'A:ZZ',
+      itemField: schema.itemField || 'name',
+      responseKey: schema.responseKey || key,
+      fields
+    };
+  });
+}
+
+// Schemas in use, loaded once from SHEET_SCHEMA_FILE or the bundled config
+function getSheetSchemas() {
+  if (!loadedSchemas) {
+    loadedSchemas = loadSheetSchemas(process.env.SHEET_SCHEMA_FILE || DEFAULT_SCHEMA_FILE);
+  }
+  return loadedSchemas;
+}
+
+// Look up a schema by its key (activities, tests, ...)
+function getSheetSchema(key) {
+  const schema = getSheetSchemas().find(s => s.key === key);
+  if (!schema) {
+    throw new Error(`No sheet schema named "${key}"`);
+  }
+  return schema;
+}
+
+// batchGet ranges for every schema sheet
+function getSchemaRanges() {
+  return getSheetSchemas().map(schema => `${schema.sheet}!${schema.columns}`);
+}
+
+// Convert a raw cell to the type declared for the field
+function convertFieldValue(value, definition) {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+
+  switch (definition.type) {
+    case 'int': {
+      const number = parseInt(text);
+      return !isNaN(number) ? number : (definition.default !== undefined ? definition.default : 0);
+    }
+    case 'float': {
+      const number = parseFloat(text);
+      return !isNaN(number) ? number : (definition.default !== undefined ? definition.default : 0);
+    }
+    case 'enum': {
+      if (text === '') return definition.default !== undefined ? definition.default : '';
+      // Keep unknown values as typed so they are visible rather than hidden
+      const known = definition.values.find(v => v.toLowerCase() === text.toLowerCase());
+      return known || text;
+    }
+    default:
+      return text !== '' ? text : (definition.default !== undefined ? definition.default : '');
+  }
+}
+
+// Matches a lowercased item column header (social_science_test1), capturing
+// the subject key and the item number
+function itemColumnPattern(schema) {
+  return new RegExp(`^(${SUBJECT_KEY_PATTERN})_${escapeRegExp(schema.keyword)}(\\d+)$`, 'u');
+}
+
+// Headers in a sheet that neither identify the student nor match the schema
+function findUnmatchedHeaders(headers, schema) {
+  const suffixes = Object.keys(schema.fields).map(field => escapeRegExp(schema.fields[field].suffix));
+  const itemPattern = itemColumnPattern(schema);
+  const fieldPattern = suffixes.length > 0
+    ? new RegExp(`^${SUBJECT_KEY_PATTERN}_${escapeRegExp(schema.keyword)}\\d+_(${suffixes.join('|')})$`, 'u')
+    : null;
+
+  return (headers || []).filter(header => {
+    const name = String(header || '').trim().toLowerCase();
+    if (name === '' || IDENTITY_COLUMNS.includes(name)) return false;
+    if (itemPattern.test(name)) return false;
+    if (fieldPattern && fieldPattern.test(name)) return false;
+    return true;
+  });
+}
+
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  loadSheetSchemas,
+  getSheetSchemas,
+  getSheetSchema,
+  getSchemaRanges,
+  convertFieldValue,
+  itemColumnPattern,
+  findUnmatchedHeaders,
+  escapeRegExp
+};
@@ -0,0 +1,305 @@
+const { parseSheetDate, indexSheetsByName, getSheet, getOptionalSheet, ATTENDANCE_CODES } = require('./sheetProcessors');
+const { getSheetSchemas, itemColumnPattern, findUnmatchedHeaders } = require('./sheetSchema');
+const { indexToColumn } = require('./dataSources/ranges');
+
+// Data-entry checks for the whole workbook. Every problem found becomes an
+// issue: { sheet, row, column, header, admissionNo, rule, severity, message }
+// where row is the 1-based sheet row and column the sheet column letter.
+
+// Allowed difference between a typed percentage and the computed one
+const PERCENT_TOLERANCE = 1;
+
+// Options: admissionNumber ({ pattern, description }, the school's format)
+function validateWorkbook(sheetsData, options = {}) {
+  const sheets = indexSheetsByName(sheetsData);
+  const issues = [];
+  const admissionNumber = options.admissionNumber || { pattern: /^\d{5}$/, description: '5 digits' };
+
+  const studentsSheet = getSheet(sheets, 'Students');
+  const knownAdmissionNos = validateStudentsSheet(studentsSheet, issues, admissionNumber);
+
+  // Sheets keyed by admission number: Subjects, Attendance and every schema sheet
+  const dataSheets = [
+    { sheet: 'Subjects', validateRow: validateSubjectsRow },
+    { sheet: 'Attendance', validateRow: validateAttendanceRow },
+    ...getSheetSchemas().map(schema => ({
+      sheet: schema.sheet,
+      schema,
+      validateRow: (context) => validateSchemaRow(context, schema)
+    }))
+  ];
+
+  dataSheets.forEach(({ sheet, schema, validateRow }) => {
+    // Only Students is required; a missing tab leaves its section empty
+    const sheetData = getOptionalSheet(sheets, sheet);
+    if (!sheetData.range) {
+      issues.push(createIssue(sheet, 1, -1, '', '', 'missing_sheet', 'warning',
+        `${sheet} sheet is missing; its section will be empty`));
+      return;
+    }
+    const values = sheetData.values;
+    const headers = values[0] || [];
+
+    if (schema) {
+      findUnmatchedHeaders(headers, schema).forEach(header => {
+        const index = headers.indexOf(header);
+        issues.push(createIssue(sheet, 1, index, header, '', 'unknown_column', 'warning',
+          `Column "${header}" does not match the ${sheet} format and is ignored`));
+      });
+    }
+
+    eachStudentRow(sheet, values, issues, (row, rowNumber, admissionNo) => {
+      if (!knownAdmissionNos.has(admissionNo)) {
+        issues.push(createIssue(sheet, rowNumber, headerIndex(headers, 'admission_no'), 'admission_no', admissionNo,
+          'unknown_admission_no', 'error', `Admission number ${admissionNo} is not in the Students sheet`));
+      }
+      validateRow({ sheet, headers, row, rowNumber, admissionNo, issues });
+    });
+  });
+
+  return {
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    },
+    issues
+  };
+}
+
+// Check the Students sheet and return the set of admission numbers in it
+function validateStudentsSheet(studentsSheet, issues, admissionNumber) {
+  const values = studentsSheet.values;
+  const headers = values[0] || [];
+  const admissionNos = new Set();
+
+  eachStudentRow('Students', values, issues, (row, rowNumber, admissionNo) => {
+    admissionNos.add(admissionNo);
+
+    if (!admissionNumber.pattern.test(admissionNo)) {
+      issues.push(createIssue('Students', rowNumber, headerIndex(headers, 'admission_no'), 'admission_no', admissionNo,
+        'invalid_admission_no', 'warning', `Admission number "${admissionNo}" is not ${admissionNumber.description}`));
+    }
+
+    ['name', 'class'].forEach(header => {
+      const index = headerIndex(headers, header);
+      if (index !== -1 && !cell(row, index)) {
+        issues.push(createIssue('Students', rowNumber, index, header, admissionNo,
+          'missing_value', 'error', `Student ${admissionNo} has no ${header}`));
+      }
+    });
+
+    checkDate({ sheet: 'Students', headers, row, rowNumber, admissionNo, issues }, headerIndex(headers, 'dob'));
+  });
+
+  return admissionNos;
+}
+
+// Walk the data rows of a sheet, reporting missing headers, blank and
+// duplicate admission numbers along the way
+function eachStudentRow(sheet, values, issues, callback) {
+  const headers = values[0] || [];
+
+  if (values.length === 0) {
+    issues.push(createIssue(sheet, 1, -1, '', '', 'empty_sheet', 'error', `${sheet} sheet is empty`));
+    return;
+  }
+
+  const admissionIndex = headerIndex(headers, 'admission_no');
+  if (admissionIndex === -1) {
+    issues.push(createIssue(sheet, 1, -1, 'admission_no', '', 'missing_column', 'error',
+      `${sheet} sheet has no admission_no column`));
+    return;
+  }
+
+  const seen = {};
+
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i] || [];
+    const rowNumber = i + 1;
+    const admissionNo = cell(row, admissionIndex);
+
+    // Completely blank rows are harmless
+    if (row.every(value => !String(value || '').trim())) continue;
+
+    if (!admissionNo) {
+      issues.push(createIssue(sheet, rowNumber, admissionIndex, 'admission_no', '', 'missing_admission_no', 'error',
+        'Row has data but no admission number'));
+      continue;
+    }
+
+    if (seen[admissionNo]) {
+      issues.push(createIssue(sheet, rowNumber, admissionIndex, 'admission_no', admissionNo, 'duplicate_admission_no', 'error',
+        `Admission number ${admissionNo} also appears on row ${seen[admissionNo]}; only the first row is used`));
+      continue;
+    }
+    seen[admissionNo] = rowNumber;
+
+    callback(row, rowNumber, admissionNo);
+  }
+}
+
+// <subject>_progress must be a number between 0 and 100
+function validateSubjectsRow(context) {
+  context.headers.forEach((header, index) => {
+    if (/_progress$/i.test(header)) {
+      const progress = checkNumber(context, index);
+      if (progress !== null && (progress < 0 || progress > 100)) {
+        context.issues.push(issueAt(context, index, 'out_of_range', 'error',
+          `Progress ${progress} is not between 0 and 100`));
+      }
+    }
+  });
+}
+
+// <month>_working/_present/_absent/_percent must add up, and day-wise
+// register columns must hold a known code
+function validateAttendanceRow(context) {
+  const { headers } = context;
+
+  headers.forEach((header, index) => {
+    const code = cell(context.row, index).toUpperCase();
+    if (parseSheetDate(header) && code && !ATTENDANCE_CODES[code]) {
+      context.issues.push(issueAt(context, index, 'invalid_value', 'warning',
+        `"${cell(context.row, index)}" is not one of ${Object.keys(ATTENDANCE_CODES).join(', ')}`));
+    }
+  });
+
+  headers.forEach((header, index) => {
+    const match = String(header).toLowerCase().match(/^(.+)_working$/);
+    if (!match) return;
+
+    const month = match[1];
+    const presentIndex = headerIndex(headers, `${month}_present`);
+    const absentIndex = headerIndex(headers, `${month}_absent`);
+    const percentIndex = headerIndex(headers, `${month}_percent`);
+
+    const working = checkNumber(context, index);
+    const present = checkNumber(context, presentIndex);
+    const absent = checkNumber(context, absentIndex);
+    const percent = checkNumber(context, percentIndex);
+
+    if (working === null) return;
+
+    if (present !== null && present > working) {
+      context.issues.push(issueAt(context, presentIndex, 'present_exceeds_working', 'error',
+        `${month}: ${present} days present but only ${working} working days`));
+    }
+
+    if (present !== null && absent !== null && present + absent !== working) {
+      context.issues.push(issueAt(context, absentIndex, 'attendance_total_mismatch', 'error',
+        `${month}: present (${present}) + absent (${absent}) does not equal working days (${working})`));
+    }
+
+    if (present !== null && percent !== null && working > 0) {
+      const computed = (present / working) * 100;
+      if (Math.abs(computed - percent) > PERCENT_TOLERANCE) {
+        context.issues.push(issueAt(context, percentIndex, 'percent_mismatch', 'warning',
+          `${month}: ${percent}% entered but ${present}/${working} is ${computed.toFixed(1)}%`));
+      }
+    }
+  });
+}
+
+// Check each item field against its declared type, plus the marks rules for tests
+function validateSchemaRow(context, schema) {
+  const { headers } = context;
+  const itemPattern = itemColumnPattern(schema);
+
+  headers.forEach((header, index) => {
+    const itemKey = String(header).toLowerCase();
+    if (!itemPattern.test(itemKey) || !cell(context.row, index)) return;
+
+    const fieldIndexes = {};
+    const fieldValues = {};
+
+    Object.keys(schema.fields).forEach(field => {
+      const definition = schema.fields[field];
+      const fieldIndex = headerIndex(headers, `${itemKey}_${definition.suffix}`);
+      fieldIndexes[field] = fieldIndex;
+
+      if (definition.type === 'int' || definition.type === 'float') {
+        fieldValues[field] = checkNumber(context, fieldIndex);
+      } else if (definition.type === 'date') {
+        checkDate(context, fieldIndex);
+      } else if (definition.type === 'enum') {
+        const value = cell(context.row, fieldIndex);
+        if (value && !definition.values.some(v => v.toLowerCase() === value.toLowerCase())) {
+          context.issues.push(issueAt(context, fieldIndex, 'invalid_value', 'warning',
+            `"${value}" is not one of ${definition.values.join(', ')}`));
+        }
+      }
+    });
+
+    const { maxMarks, marksObtained, percentage } = fieldValues;
+
+    if (maxMarks !== undefined && marksObtained !== undefined && maxMarks !== null && marksObtained !== null) {
+      if (marksObtained > maxMarks) {
+        context.issues.push(issueAt(context, fieldIndexes.marksObtained, 'marks_exceed_max', 'error',
+          `${itemKey}: ${marksObtained} marks obtained out of a maximum of ${maxMarks}`));
+      }
+
+      if (percentage !== undefined && percentage !== null && maxMarks > 0) {
+        const computed = (marksObtained / maxMarks) * 100;
+        if (Math.abs(computed - percentage) > PERCENT_TOLERANCE) {
+          context.issues.push(issueAt(context, fieldIndexes.percentage, 'percent_mismatch', 'warning',
+            `${itemKey}: ${percentage}% entered but ${marksObtained}/${maxMarks} is ${computed.toFixed(1)}%`));
+        }
+      }
+    }
+  });
+}
+
+// Parse a numeric cell, reporting anything that isn't a number.
+// Returns null for blank or invalid cells.
+function checkNumber(context, index) {
+  if (index === -1) return null;
+
+  const value = cell(context.row, index);
+  if (value === '') return null;
+
+  const number = Number(value.replace(/%$/, ''));
+  if (isNaN(number)) {
+    context.issues.push(issueAt(context, index, 'not_a_number', 'error', `"${value}" is not a number`));
+    return null;
+  }
+  return number;
+}
+
+// Dates must be DD-MM-YYYY
+function checkDate(context, index) {
+  if (index === -1) return;
+
+  const value = cell(context.row, index);
+  if (value && !parseSheetDate(value)) {
+    context.issues.push(issueAt(context, index, 'invalid_date', 'warning',
+      `"${value}" is not a valid DD-MM-YYYY date`));
+  }
+}
+
+function issueAt(context, index, rule, severity, message) {
+  return createIssue(context.sheet, context.rowNumber, index, context.headers[index] || '',
+    context.admissionNo, rule, severity, message);
+}
+
+function createIssue(sheet, row, index, header, admissionNo, rule, severity, message) {
+  return {
+    sheet,
+    row,
+    column: index >= 0 ? indexToColumn(index) : '',
+    header,
+    admissionNo,
+    rule,
+    severity,
+    message
+  };
+}
+
+function headerIndex(headers, name) {
+  return headers.findIndex(h => String(h).toLowerCase() === name.toLowerCase());
+}
+
+function cell(row, index) {
+  return index >= 0 && row[index] !== undefined && row[index] !== null ? String(row[index]).trim() : '';
+}
+
+module.exports = { validateWorkbook };
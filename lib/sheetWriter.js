@@ -0,0 +1,402 @@
+const {
+  parseSheetDate,
+  indexSheetsByName,
+  getSheet,
+  getValueByHeader
+} = require('./sheetProcessors');
+const { getSheetSchema, itemColumnPattern, escapeRegExp } = require('./sheetSchema');
+const { gradeForPercentage } = require('./grading');
+const { findStudentsByClass, normalizeClassName } = require('./classReport');
+const { createError, validationError } = require('./errors');
+const { toSubjectKey: toColumnKey, isSubjectKey, subjectId } = require('./subjects');
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Write API behind POST /api/attendance, POST /api/tests and
+// PATCH /api/assignments. Changes are worked out against a fresh copy of
+// the workbook (never the cache), written through the data source's
+// updateCells, recorded in the audit log, and then `onChange` runs so the
+// read cache can be refreshed.
+//
+// Writes run one at a time so two teachers can't create the same column.
+function createSheetWriter({ dataSource, ranges, auditLog, gradingScale, onChange }) {
+  let queue = Promise.resolve();
+
+  function serialize(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function loadSheets() {
+    return indexSheetsByName(await dataSource.fetchWorkbook(ranges));
+  }
+
+  // Write every edited sheet, audit the change and notify the cache
+  async function commit(edits, auditEntry) {
+    let cellsChanged = 0;
+
+    for (const edit of edits) {
+      if (edit.updates.length > 0) {
+        await dataSource.updateCells(edit.sheetName, edit.updates);
+        cellsChanged += edit.updates.length;
+      }
+    }
+
+    await auditLog.record({ ...auditEntry, cellsChanged });
+    if (onChange) await onChange();
+
+    return cellsChanged;
+  }
+
+  // Mark one day's attendance for a class. In a day-wise register (date
+  // columns in the Attendance sheet) each student gets a P/A/L code in the
+  // date's column. Otherwise every student gets a working day, absentees
+  // and students on leave an absent day and everyone else a present day, in
+  // the <month>_working/_present/_absent/_percent columns.
+  // Marking a day again corrects the register; monthly totals would count
+  // the day twice, so there a repeat is refused.
+  function markAttendance({ user, className, date, absentees, onLeave }) {
+    return serialize(async () => {
+      const day = parseSheetDate(date);
+      if (!day) throw validationError('Invalid date. Use DD-MM-YYYY.');
+      if (day > new Date()) throw validationError('Attendance cannot be marked for a future date.');
+      const absent = new Set(checkAdmissionNumbers(absentees, 'Absentees'));
+      const leave = new Set(checkAdmissionNumbers(onLeave, 'On leave'));
+
+      const sheets = await loadSheets();
+      const classStudents = getClassStudents(sheets, className);
+      checkStudentsInClass([...absent, ...leave], classStudents, className);
+
+      const both = [...absent].filter(admissionNo => leave.has(admissionNo));
+      if (both.length > 0) throw validationError(`Both absent and on leave: ${both.join(', ')}`);
+
+      const edit = createSheetEdit(sheets, 'Attendance');
+
+      if (edit.isDailyRegister()) {
+        const existingColumn = edit.findDateColumn(day);
+        const dateColumn = existingColumn !== -1 ? existingColumn : edit.column(date);
+        classStudents.forEach(student => {
+          const code = absent.has(student.admissionNo) ? 'A' : (leave.has(student.admissionNo) ? 'L' : 'P');
+          edit.set(edit.row(student), dateColumn, code);
+        });
+      } else {
+        // "9-7-2025" is the same day as "09-07-2025"
+        const alreadyMarked = (await auditLog.readAll()).some(entry => {
+          const markedDay = entry.action === 'attendance' && entry.details ? parseSheetDate(entry.details.date) : null;
+          return markedDay && markedDay.getTime() === day.getTime() &&
+            normalizeClassName(entry.class) === normalizeClassName(className);
+        });
+        if (alreadyMarked) {
+          throw createError(409, `Attendance for ${className} on ${date} has already been marked.`);
+        }
+
+        const month = MONTHS[day.getMonth()];
+        const workingColumn = edit.column(`${month}_working`);
+        const presentColumn = edit.column(`${month}_present`);
+        const absentColumn = edit.column(`${month}_absent`);
+        const percentColumn = edit.column(`${month}_percent`);
+
+        classStudents.forEach(student => {
+          const away = absent.has(student.admissionNo) || leave.has(student.admissionNo);
+          const row = edit.row(student);
+          const working = edit.getNumber(row, workingColumn) + 1;
+          const present = edit.getNumber(row, presentColumn) + (away ? 0 : 1);
+          const absentDays = edit.getNumber(row, absentColumn) + (away ? 1 : 0);
+
+          edit.set(row, workingColumn, working);
+          edit.set(row, presentColumn, present);
+          edit.set(row, absentColumn, absentDays);
+          edit.set(row, percentColumn, Math.round((present / working) * 1000) / 10);
+        });
+      }
+
+      const cellsChanged = await commit([edit], {
+        user: user.sub,
+        role: user.role,
+        action: 'attendance',
+        class: className,
+        details: { date, absentees: [...absent], onLeave: [...leave] }
+      });
+
+      return {
+        class: className,
+        date,
+        students: classStudents.length,
+        absent: absent.size,
+        onLeave: leave.size,
+        cellsChanged
+      };
+    });
+  }
+
+  // Record a new test for a class, creating the next <subject>_testN columns
+  function recordTest({ user, className, subject, testName, date, maxMarks, marks }) {
+    return serialize(async () => {
+      const schema = getSheetSchema('tests');
+      const subjectKey = toSubjectKey(subject);
+      const max = Number(maxMarks);
+
+      if (!testName || !String(testName).trim()) throw validationError('Test name is required.');
+      if (!parseSheetDate(date)) throw validationError('Invalid date. Use DD-MM-YYYY.');
+      if (!(max > 0)) throw validationError('Max marks must be a positive number.');
+      checkEntries(marks, 'Marks', '{ admissionNo, marksObtained }');
+
+      marks.forEach(entry => {
+        const obtained = entry.marksObtained === '' || entry.marksObtained === null ? NaN : Number(entry.marksObtained);
+        if (isNaN(obtained) || obtained < 0 || obtained > max) {
+          throw validationError(`Marks for ${entry.admissionNo} must be between 0 and ${max}.`);
+        }
+      });
+
+      const sheets = await loadSheets();
+      const classStudents = getClassStudents(sheets, className);
+      checkStudentsInClass(marks.map(entry => String(entry.admissionNo)), classStudents, className);
+
+      const edit = createSheetEdit(sheets, schema.sheet);
+      const columnKey = edit.subjectKeyFor(subjectKey, schema);
+      const itemKey = `${columnKey}_${schema.keyword}${edit.nextItemNumber(columnKey, schema.keyword)}`;
+      const itemColumn = edit.column(itemKey);
+      const fieldColumns = {};
+      Object.keys(schema.fields).forEach(field => {
+        fieldColumns[field] = edit.column(`${itemKey}_${schema.fields[field].suffix}`);
+      });
+
+      marks.forEach(entry => {
+        const student = classStudents.find(s => s.admissionNo === String(entry.admissionNo));
+        const row = edit.row(student);
+        const obtained = Number(entry.marksObtained);
+        const percentage = Math.round((obtained / max) * 1000) / 10;
+        const values = {
+          date,
+          maxMarks: max,
+          marksObtained: obtained,
+          percentage,
+          grade: gradeForPercentage(percentage, gradingScale)
+        };
+
+        edit.set(row, itemColumn, String(testName).trim());
+        Object.keys(fieldColumns).forEach(field => {
+          if (values[field] !== undefined) edit.set(row, fieldColumns[field], values[field]);
+        });
+      });
+
+      const cellsChanged = await commit([edit], {
+        user: user.sub,
+        role: user.role,
+        action: 'test',
+        class: className,
+        details: { subject: columnKey, testKey: itemKey, testName, date, maxMarks: max, students: marks.length }
+      });
+
+      return { class: className, testKey: itemKey, students: marks.length, cellsChanged };
+    });
+  }
+
+  // Update status/remarks of an existing <subject>_assignmentN for students
+  function updateAssignments({ user, className, subject, number, updates }) {
+    return serialize(async () => {
+      const schema = getSheetSchema('assignments');
+      const subjectKey = toSubjectKey(subject);
+      const statusField = schema.fields.status;
+      const remarksField = schema.fields.remarks;
+
+      if (!(parseInt(number) > 0)) throw validationError('Assignment number must be a positive number.');
+      checkEntries(updates, 'Updates', '{ admissionNo, status, remarks }');
+
+      updates.forEach(update => {
+        if (update.status !== undefined && typeof update.status !== 'string') {
+          throw validationError(`Status for ${update.admissionNo} must be text.`);
+        }
+        if (update.status !== undefined && statusField.values &&
+            !statusField.values.includes(update.status.toLowerCase())) {
+          throw validationError(`Status must be one of ${statusField.values.join(', ')}.`);
+        }
+        if (update.remarks !== undefined && typeof update.remarks !== 'string') {
+          throw validationError(`Remarks for ${update.admissionNo} must be text.`);
+        }
+      });
+
+      const sheets = await loadSheets();
+      const classStudents = getClassStudents(sheets, className);
+      checkStudentsInClass(updates.map(update => String(update.admissionNo)), classStudents, className);
+
+      const edit = createSheetEdit(sheets, schema.sheet);
+      const itemKey = `${edit.subjectKeyFor(subjectKey, schema)}_${schema.keyword}${parseInt(number)}`;
+      if (edit.findColumn(itemKey) === -1) {
+        throw createError(404, `Assignment ${itemKey} does not exist.`);
+      }
+
+      const statusColumn = edit.column(`${itemKey}_${statusField.suffix}`);
+      const remarksColumn = remarksField ? edit.column(`${itemKey}_${remarksField.suffix}`) : -1;
+
+      updates.forEach(update => {
+        const student = classStudents.find(s => s.admissionNo === String(update.admissionNo));
+        const row = edit.row(student);
+        if (update.status !== undefined) edit.set(row, statusColumn, String(update.status).toLowerCase());
+        if (update.remarks !== undefined && remarksColumn !== -1) edit.set(row, remarksColumn, update.remarks);
+      });
+
+      const cellsChanged = await commit([edit], {
+        user: user.sub,
+        role: user.role,
+        action: 'assignment',
+        class: className,
+        details: { assignmentKey: itemKey, updates }
+      });
+
+      return { class: className, assignmentKey: itemKey, students: updates.length, cellsChanged };
+    });
+  }
+
+  return { markAttendance, recordTest, updateAssignments };
+}
+
+// Students of a class from the Students sheet: [{ admissionNo, name, class }]
+function getClassStudents(sheets, className) {
+  const studentsSheet = getSheet(sheets, 'Students');
+  const headers = studentsSheet.values[0] || [];
+  const students = findStudentsByClass(studentsSheet.values, headers, className).map(row => ({
+    admissionNo: getValueByHeader(row, headers, 'admission_no'),
+    name: getValueByHeader(row, headers, 'name'),
+    class: getValueByHeader(row, headers, 'class')
+  }));
+
+  if (students.length === 0) {
+    throw createError(404, `No students found in class ${className}`);
+  }
+  return students;
+}
+
+function checkStudentsInClass(admissionNos, classStudents, className) {
+  const unknown = admissionNos.filter(no => !classStudents.some(student => student.admissionNo === no));
+  if (unknown.length > 0) {
+    throw validationError(`Not in class ${className}: ${unknown.join(', ')}`);
+  }
+}
+
+// Admission numbers from a request body list such as absentees (none when
+// left out), as strings
+function checkAdmissionNumbers(list, label) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list) || !list.every(isAdmissionNo)) {
+    throw validationError(`${label} must be a list of admission numbers.`);
+  }
+  return list.map(admissionNo => String(admissionNo).trim());
+}
+
+// A non-empty list of { admissionNo, ... } objects from a request body
+function checkEntries(list, label, shape) {
+  if (!Array.isArray(list) || list.length === 0) {
+    throw validationError(`${label} are required, as a list of ${shape}.`);
+  }
+  if (!list.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry) && isAdmissionNo(entry.admissionNo))) {
+    throw validationError(`${label} must be a list of ${shape}.`);
+  }
+}
+
+function isAdmissionNo(value) {
+  return (typeof value === 'string' && value.trim() !== '') || Number.isInteger(value);
+}
+
+// Subject keys are used in column names ("Social Science" => "social_science")
+function toSubjectKey(subject) {
+  const key = toColumnKey(subject);
+  if (!isSubjectKey(key)) {
+    throw validationError('Subject must be words of letters and digits, e.g. "math" or "social_science".');
+  }
+  return key;
+}
+
+// Pending edits to one sheet, tracked against a working copy so that new
+// columns and rows get stable positions. Collects { row, column, value }
+// updates for the data source.
+function createSheetEdit(sheets, sheetName) {
+  const rows = getSheet(sheets, sheetName).values.map(row => [...row]);
+  const updates = [];
+
+  if (rows.length === 0) rows.push([]);
+  const headers = rows[0];
+
+  function set(row, column, value) {
+    while (rows[row].length <= column) rows[row].push('');
+    rows[row][column] = value;
+    updates.push({ row, column, value });
+  }
+
+  function findColumn(header) {
+    return headers.findIndex(h => String(h).toLowerCase() === header.toLowerCase());
+  }
+
+  // Column index for a header, adding the header at the end when missing
+  function column(header) {
+    const index = findColumn(header);
+    if (index !== -1) return index;
+    set(0, headers.length, header);
+    return headers.length - 1;
+  }
+
+  // Row index for a student, adding a row (with name/class when the sheet
+  // has those columns) when missing
+  function row(student) {
+    const admissionColumn = column('admission_no');
+    const index = rows.findIndex((r, i) => i > 0 && String(r[admissionColumn] || '').trim() === student.admissionNo);
+    if (index !== -1) return index;
+
+    rows.push([]);
+    const newRow = rows.length - 1;
+    set(newRow, admissionColumn, student.admissionNo);
+    ['name', 'class'].forEach(header => {
+      const headerColumn = findColumn(header);
+      if (headerColumn !== -1) set(newRow, headerColumn, student[header]);
+    });
+    return newRow;
+  }
+
+  function getNumber(rowIndex, columnIndex) {
+    const value = parseFloat(rows[rowIndex][columnIndex]);
+    return isNaN(value) ? 0 : value;
+  }
+
+  // Whether the sheet is a day-wise register (has DD-MM-YYYY date columns)
+  function isDailyRegister() {
+    return headers.some(header => parseSheetDate(header) !== null);
+  }
+
+  // Column of a register date, however its header is padded ("5-7-2025")
+  function findDateColumn(date) {
+    return headers.findIndex(header => {
+      const headerDate = parseSheetDate(header);
+      return headerDate !== null && headerDate.getTime() === date.getTime();
+    });
+  }
+
+  // The subject key of this sheet's <subject>_<keyword>N columns for the
+  // same subject ID, so "Social Science" adds to sst_test1... when the
+  // sheet uses sst; subjectKey itself when the subject has no columns yet
+  function subjectKeyFor(subjectKey, schema) {
+    const pattern = itemColumnPattern(schema);
+    const keys = headers
+      .map(header => String(header).trim().toLowerCase().match(pattern))
+      .filter(Boolean)
+      .map(match => match[1]);
+    if (keys.includes(subjectKey)) return subjectKey;
+    return keys.find(key => subjectId(key) === subjectId(subjectKey)) || subjectKey;
+  }
+
+  // Next N for <subject>_<keyword>N columns
+  function nextItemNumber(subjectKey, keyword) {
+    const pattern = new RegExp(`^${escapeRegExp(subjectKey)}_${escapeRegExp(keyword)}(\\d+)$`);
+    return headers.reduce((max, header) => {
+      const match = String(header).toLowerCase().match(pattern);
+      return match ? Math.max(max, parseInt(match[1])) : max;
+    }, 0) + 1;
+  }
+
+  return {
+    sheetName, updates, set, findColumn, column, row, getNumber, isDailyRegister, findDateColumn, subjectKeyFor, nextItemNumber
+  };
+}
+
+module.exports = { createSheetWriter };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Subjects as they appear in column names (math_test1, social_science_test1,
+// hindi_course_b_assignment2, संस्कृत_test1) and as they are shown.
+//
+// A subject key is one or more words of letters and digits joined by
+// underscores. Its display name comes from the subject names file, a map of
+// key => name (config/subjectNames.json, e.g. "evs": "Environmental
+// Studies"); other keys are shown word by word, capitalized
+// ("social_science" => "Social Science").
+//
+// The subject ID groups a subject across sheets. It is derived from the
+// display name, so keys with the same name ("sst" and "social_science")
+// share an ID.
+
+const DEFAULT_NAMES_FILE = path.join(__dirname, '..', 'config', 'subjectNames.json');
+
+// Regular expression source for a subject key in a lowercased header; use
+// with the `u` flag so Devanagari and other scripts match
+const SUBJECT_KEY_PATTERN = '\\p{L}[\\p{L}\\p{M}\\p{N}]*(?:_[\\p{L}\\p{M}\\p{N}]+)*';
+
+let loadedNames = null;
+
+// Read and check a subject names file
+function loadSubjectNames(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Subject names ${file} must be a map of subject key => display name`);
+  }
+
+  const names = {};
+  Object.keys(config).forEach(key => {
+    if (typeof config[key] !== 'string' || !config[key].trim()) {
+      throw new Error(`Subject names ${file}: "${key}" needs a display name`);
+    }
+    names[toSubjectKey(key)] = config[key].trim();
+  });
+  return names;
+}
+
+// Subject names in use, loaded once from SUBJECT_NAMES_FILE or the bundled config
+function getSubjectNames() {
+  if (!loadedNames) {
+    loadedNames = loadSubjectNames(process.env.SUBJECT_NAMES_FILE || DEFAULT_NAMES_FILE);
+  }
+  return loadedNames;
+}
+
+// Column form of a subject ("Social Science" => "social_science")
+function toSubjectKey(subject) {
+  return String(subject || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+// Whether text is a usable subject key
+function isSubjectKey(key) {
+  return new RegExp(`^${SUBJECT_KEY_PATTERN}$`, 'u').test(key);
+}
+
+// Display name of a subject key ("evs" => "Environmental Studies")
+function subjectName(subject) {
+  const key = toSubjectKey(subject);
+  const names = getSubjectNames();
+  if (names[key]) return names[key];
+
+  return key.split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+// Canonical ID of a subject key or display name ("sst" => "social_science")
+function subjectId(subject) {
+  return toSubjectKey(subjectName(subject));
+}
+
+module.exports = {
+  SUBJECT_KEY_PATTERN,
+  loadSubjectNames,
+  getSubjectNames,
+  toSubjectKey,
+  isSubjectKey,
+  subjectName,
+  subjectId
+};
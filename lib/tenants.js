@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { getGradingScale, loadGradingScale } = require('./grading');
+
+// Schools served by this API. Each KV has its own spreadsheet, staff and
+// branding, so one deployment can serve a whole region at /api/<school>/...
+//
+// TENANTS_FILE is a JSON registry (see config/tenants.example.json):
+//   default  - school code served by the unprefixed /api/... routes (optional)
+//   schools  - school code => {
+//     name              - shown on /api/status and, by default, report cards
+//     dataSource        - DATA_SOURCE / GOOGLE_SHEETS_ID style settings, as
+//                         for older sessions in the academic calendar. Only
+//                         these are used, so a school can't end up reading
+//                         the spreadsheet set in the environment
+//     gradingScaleFile  - grading scale (default: GRADING_SCALE_FILE or the bundled one)
+//     branding          - { schoolName, address, primaryColor, logoPath }
+//     admissionNumber   - { pattern, description }, default five digits
+//     staffAccountsFile - this school's teachers and admins
+//     sessions          - older sessions, as in the academic calendar
+//                         (default: the calendar's)
+//     notifications     - NOTIFY_CHANNELS / SMTP_* / SMS_* style overrides
+//     auditLogFile      - default logs/audit-<code>.log
+//     notifyStateFile   - default logs/notification-state-<code>.json
+//   }
+// Relative file paths are read from the registry's directory.
+//
+// Without TENANTS_FILE there is one school, configured from the
+// environment as before.
+
+const LOGS_DIR = path.join(__dirname, '..', 'logs');
+
+// Five-digit KV admission numbers unless a school says otherwise
+const DEFAULT_ADMISSION_NUMBER = { pattern: '^\\d{5}$', description: '5 digits' };
+
+// First segments of the unprefixed API routes, which can't be school codes
+const RESERVED_CODES = [
+  'auth', 'admin', 'alerts', 'attendance', 'assignments', 'tests', 'export',
+  'status', 'student-data', 'class-report', 'academic-calendar', 'guardian'
+];
+
+let loadedTenants = null;
+
+// Read and check a tenant registry file
+function loadTenants(file) {
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const baseDir = path.dirname(path.resolve(file));
+  const codes = Object.keys(registry.schools || {});
+
+  if (codes.length === 0) {
+    throw new Error(`Tenant registry ${file} must list at least one school under "schools"`);
+  }
+  if (registry.default && !codes.includes(registry.default)) {
+    throw new Error(`Tenant registry ${file}: default school "${registry.default}" is not in "schools"`);
+  }
+
+  const schools = codes.map(code => {
+    const school = registry.schools[code];
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(code) || RESERVED_CODES.includes(code)) {
+      throw new Error(`Tenant registry ${file}: "${code}" can't be used as a school code`);
+    }
+    if (!school.dataSource) {
+      throw new Error(`Tenant registry ${file}: school "${code}" needs a dataSource`);
+    }
+
+    const resolve = (value) => (value ? path.resolve(baseDir, value) : value);
+    const name = school.name || code;
+
+    return {
+      code,
+      name,
+      dataSource: school.dataSource,
+      gradingScale: school.gradingScaleFile ? loadGradingScale(resolve(school.gradingScaleFile)) : getGradingScale(),
+      branding: { schoolName: name, ...(school.branding || {}), logoPath: resolve((school.branding || {}).logoPath) || null },
+      admissionNumber: parseAdmissionNumber(school.admissionNumber, `${file}: school "${code}"`),
+      staffAccountsFile: resolve(school.staffAccountsFile),
+      sessions: school.sessions || null,
+      notifications: school.notifications || {},
+      auditLogFile: resolve(school.auditLogFile) || path.join(LOGS_DIR, `audit-${code}.log`),
+      notifyStateFile: resolve(school.notifyStateFile) || path.join(LOGS_DIR, `notification-state-${code}.json`)
+    };
+  });
+
+  return { defaultCode: registry.default || null, schools };
+}
+
+// The one school of a deployment without a registry, from the environment
+function tenantFromEnv(env) {
+  const name = env.SCHOOL_NAME || 'Kendriya Vidyalaya';
+
+  return {
+    code: env.SCHOOL_CODE || 'default',
+    name,
+    dataSource: env,
+    gradingScale: getGradingScale(),
+    branding: {
+      schoolName: name,
+      address: env.SCHOOL_ADDRESS || '',
+      primaryColor: env.SCHOOL_PRIMARY_COLOR || '#1a4e8a',
+      logoPath: env.SCHOOL_LOGO_PATH || null
+    },
+    admissionNumber: parseAdmissionNumber(null, 'environment'),
+    staffAccountsFile: env.STAFF_ACCOUNTS_FILE,
+    sessions: null,
+    notifications: {},
+    auditLogFile: env.AUDIT_LOG_FILE || path.join(LOGS_DIR, 'audit.log'),
+    notifyStateFile: env.NOTIFY_STATE_FILE || path.join(LOGS_DIR, 'notification-state.json')
+  };
+}
+
+// Schools in use, loaded once from TENANTS_FILE or the environment:
+// { defaultCode, schools: [tenant] }
+function getTenants(env = process.env) {
+  if (!loadedTenants) {
+    if (env.TENANTS_FILE) {
+      loadedTenants = loadTenants(env.TENANTS_FILE);
+    } else {
+      const tenant = tenantFromEnv(env);
+      loadedTenants = { defaultCode: tenant.code, schools: [tenant] };
+    }
+  }
+  return loadedTenants;
+}
+
+// { pattern: RegExp, description } from a registry entry
+function parseAdmissionNumber(config, where) {
+  const { pattern, description } = { ...DEFAULT_ADMISSION_NUMBER, ...(config || {}) };
+  try {
+    return { pattern: new RegExp(pattern), description };
+  } catch (error) {
+    throw new Error(`Tenant registry ${where}: invalid admissionNumber pattern ${pattern}`);
+  }
+}
+
+// Whether an admission number has the school's format
+function isValidAdmissionNumber(tenant, admissionNo) {
+  return Boolean(admissionNo) && tenant.admissionNumber.pattern.test(admissionNo);
+}
+
+module.exports = {
+  loadTenants,
+  getTenants,
+  isValidAdmissionNumber
+};
@@ -0,0 +1,104 @@
+// In-process cache for the Sheets workbook (the raw batchGet response)
+//
+// - Within `ttlMs` the cached snapshot is served as-is.
+// - Between `ttlMs` and `staleMs` the stale snapshot is served immediately
+//   and a refresh runs in the background.
+// - Past `staleMs` the caller waits for a refresh, but if Sheets fails the
+//   last good snapshot is still returned instead of an error.
+// - After invalidate() (a write changed the sheets) the caller waits for a
+//   refresh too, with the same last-good fallback.
+// Concurrent callers always share a single in-flight fetch.
+function createWorkbookCache({ fetchWorkbook, ttlMs, staleMs }) {
+  let snapshot = null;      // { data, fetchedAt }
+  let inFlight = null;      // Promise of the refresh currently running
+  let lastError = null;     // { message, at } of the last failed fetch
+  let invalidated = false;  // snapshot is older than the last write
+
+  // Start a refresh, or join the one already running
+  function refresh() {
+    if (!inFlight) {
+      const pending = Promise.resolve()
+        .then(() => fetchWorkbook())
+        .then(data => {
+          const fresh = { data, fetchedAt: new Date() };
+          // A fetch discarded by invalidate() may predate the write, so its
+          // callers get their data but it never replaces the snapshot
+          if (inFlight === pending) {
+            snapshot = fresh;
+            invalidated = false;
+            lastError = null;
+          }
+          return fresh;
+        }, error => {
+          if (inFlight === pending) {
+            lastError = { message: error.message, at: new Date().toISOString() };
+          }
+          throw error;
+        })
+        .finally(() => {
+          if (inFlight === pending) inFlight = null;
+        });
+      inFlight = pending;
+    }
+    return inFlight;
+  }
+
+  // Get a workbook snapshot: { data, fetchedAt, stale }
+  async function get() {
+    if (!snapshot) {
+      // Nothing cached yet, so there is nothing to fall back to
+      const fresh = await refresh();
+      return { ...fresh, stale: false };
+    }
+
+    const age = Date.now() - snapshot.fetchedAt.getTime();
+
+    if (age < ttlMs && !invalidated) {
+      return { ...snapshot, stale: false };
+    }
+
+    if (age < staleMs && !invalidated) {
+      refresh().catch(error => {
+        console.error('Background workbook refresh failed:', error.message);
+      });
+      return { ...snapshot, stale: true };
+    }
+
+    try {
+      const fresh = await refresh();
+      return { ...fresh, stale: false };
+    } catch (error) {
+      console.error('Workbook refresh failed, serving last good snapshot:', error.message);
+      return { ...snapshot, stale: true };
+    }
+  }
+
+  // Cache details for the status endpoint
+  function getStatus() {
+    return {
+      cached: Boolean(snapshot),
+      dataAsOf: snapshot ? snapshot.fetchedAt.toISOString() : null,
+      refreshing: Boolean(inFlight),
+      invalidated,
+      ttlSeconds: ttlMs / 1000,
+      staleSeconds: staleMs / 1000,
+      lastError
+    };
+  }
+
+  // Drop the cached snapshot so the next get() fetches again
+  function clear() {
+    snapshot = null;
+  }
+
+  // Mark the snapshot out of date after a write: the next get() waits for a
+  // fetch started from now on, but keeps the snapshot as the fallback
+  function invalidate() {
+    invalidated = true;
+    inFlight = null;
+  }
+
+  return { get, refresh, getStatus, clear, invalidate };
+}
+
+module.exports = { createWorkbookCache };
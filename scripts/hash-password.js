@@ -0,0 +1,12 @@
+// Print a password hash for config/staff.json
+// Usage: npm run hash-password -- <password>
+const { hashPassword } = require('../lib/auth');
+
+const password = process.argv[2];
+
+if (!password) {
+  console.error('Usage: npm run hash-password -- <password>');
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -0,0 +1,28 @@
+const app = require('./app');
+
+const PORT = process.env.PORT || 3000;
+
+const { schools, defaultSchool, notifyIntervalMinutes } = app.locals;
+
+// Start the server
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  schools.forEach(school => {
+    const status = school.getStatus();
+    console.log(`School ${school.code}${school === defaultSchool ? ' (default)' : ''}: ${status.dataSource} data source (configured: ${status.dataSourceConfigured})`);
+  });
+  console.log(`Google Sheets ID configured: ${Boolean(process.env.GOOGLE_SHEETS_ID)}`);
+  console.log(`Google Sheets API Key configured: ${Boolean(process.env.GOOGLE_SHEETS_API_KEY)}`);
+  if (!process.env.AUTH_JWT_SECRET) {
+    console.warn('AUTH_JWT_SECRET is not set; sessions will not survive a restart');
+  }
+
+  if (notifyIntervalMinutes > 0) {
+    setInterval(() => {
+      schools.forEach(school => {
+        school.notifier.run().catch(error => console.error(`Error sending notifications for ${school.code}:`, error));
+      });
+    }, notifyIntervalMinutes * 60 * 1000);
+    console.log(`Parent notifications checked every ${notifyIntervalMinutes} minutes`);
+  }
+});
@@ -0,0 +1,222 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { FIXTURES_DIR, STAFF_PASSWORD, loadWorkbook, createTempDir, writeStaffFile } = require('./helpers/fixtures');
+const { startMockSheetsServer } = require('./helpers/mockSheetsServer');
+const { startApp } = require('./helpers/testServer');
+
+// End to end through the HTTP routes, with the Google Sheets source reading
+// from a local mock of the Sheets API
+
+test('API', async (t) => {
+  const tempDir = createTempDir();
+  const mock = await startMockSheetsServer({ workbook: loadWorkbook() });
+  const server = await startApp({
+    DATA_SOURCE: 'google-sheets',
+    GOOGLE_SHEETS_ID: 'test-spreadsheet',
+    GOOGLE_SHEETS_API_KEY: 'test-key',
+    GOOGLE_SHEETS_API_URL: mock.url,
+    STAFF_ACCOUNTS_FILE: writeStaffFile(tempDir),
+    ACADEMIC_CALENDAR_FILE: path.join(FIXTURES_DIR, 'academicCalendar.json'),
+    AUDIT_LOG_FILE: path.join(tempDir, 'audit.log'),
+    NOTIFY_STATE_FILE: path.join(tempDir, 'notification-state.json'),
+    AUTH_JWT_SECRET: 'test-secret'
+  });
+  t.after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  const { request } = server;
+  const login = async (body) => (await request('POST', '/api/auth/login', { body })).body.token;
+  const staffLogin = async (username) =>
+    (await request('POST', '/api/auth/staff-login', { body: { username, password: STAFF_PASSWORD } })).body.token;
+
+  const studentToken = await login({ admission: '10231', dob: '14-03-2012' });
+  const teacherToken = await staffLogin('classteacher.8a');
+  const adminToken = await staffLogin('admin');
+
+  await t.test('logins', async (t) => {
+    await t.test('students sign in with their date of birth or PIN', async () => {
+      const byDob = await request('POST', '/api/auth/login', { body: { admission: '10231', dob: '2012-03-14' } });
+      assert.equal(byDob.status, 200);
+      assert.deepEqual(byDob.body.user, { sub: '10231', role: 'student', name: 'Aarav Sharma', class: 'VIII-A' });
+
+      const byPin = await request('POST', '/api/auth/login', { body: { admission: '10232', pin: '4821' } });
+      assert.equal(byPin.status, 200);
+    });
+
+    await t.test('a wrong date of birth is refused', async () => {
+      const response = await request('POST', '/api/auth/login', { body: { admission: '10232', dob: '01-01-2011' } });
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'UNAUTHORIZED');
+    });
+
+    await t.test('a malformed admission number is refused', async () => {
+      const response = await request('POST', '/api/auth/login', { body: { admission: '1023', dob: '14-03-2012' } });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Invalid admission number. Must be 5 digits.');
+    });
+
+    await t.test('staff sign in with the staff accounts file', async () => {
+      assert.ok(teacherToken);
+      assert.ok(adminToken);
+      const response = await request('POST', '/api/auth/staff-login', { body: { username: 'admin', password: 'nope' } });
+      assert.equal(response.status, 401);
+    });
+  });
+
+  await t.test('GET /api/student-data', async (t) => {
+    await t.test('needs a token', async () => {
+      const response = await request('GET', '/api/student-data?admission=10231');
+      assert.equal(response.status, 401);
+    });
+
+    await t.test('returns a student their own data', async () => {
+      const response = await request('GET', '/api/student-data?session=2025-26&admission=10232', { token: studentToken });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.studentInfo.admissionNo, '10231');
+      assert.equal(response.body.session, '2025-26');
+      assert.equal(response.body.summary.attendancePercentage, '79.3%');
+      assert.equal(response.body.subjectProgress.length, 5);
+      assert.deepEqual(response.body.subjects.map(group => group.subjectId),
+        ['math', 'science', 'english', 'hindi', 'social_science']);
+      assert.deepEqual(response.body.warnings, []);
+      assert.ok(response.body.analytics);
+      assert.ok(response.body.dataAsOf);
+    });
+
+    await t.test('lets a class teacher read their class only', async () => {
+      const own = await request('GET', '/api/student-data?session=2025-26&admission=10233', { token: teacherToken });
+      assert.equal(own.status, 200);
+      assert.equal(own.body.summary.attendanceStatus.belowThreshold, true);
+
+      const other = await request('GET', '/api/student-data?session=2025-26&admission=10310', { token: teacherToken });
+      assert.equal(other.status, 403);
+    });
+
+    await t.test('answers 404 STUDENT_NOT_FOUND for an unknown student', async () => {
+      const response = await request('GET', '/api/student-data?session=2025-26&admission=99999', { token: adminToken });
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'STUDENT_NOT_FOUND');
+      assert.ok(response.body.requestId);
+    });
+
+    await t.test('answers 404 for a session without data', async () => {
+      const response = await request('GET', '/api/student-data?session=2019-20&admission=10231', { token: adminToken });
+      assert.equal(response.status, 404);
+    });
+  });
+
+  await t.test('GET /api/student-data/attendance-calendar', async () => {
+    const response = await request('GET', '/api/student-data/attendance-calendar?session=2025-26', { token: studentToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.totals, { workingDays: 6, present: 3, absent: 2, leave: 1, holidays: 0, percentage: 50 });
+  });
+
+  await t.test('GET /api/guardian/:id/students', async (t) => {
+    await t.test('lists all of a guardian\'s children for the office', async () => {
+      const response = await request('GET', '/api/guardian/g-501/students?session=2025-26', { token: adminToken });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.children.map(child => child.studentInfo.admissionNo), ['10231', '10310']);
+      assert.ok(response.body.pendingAssignments.every(assignment => assignment.overdue));
+    });
+
+    await t.test('shows a class teacher only the children in their class', async () => {
+      const response = await request('GET', '/api/guardian/G-501/students?session=2025-26', { token: teacherToken });
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.children.map(child => child.studentInfo.admissionNo), ['10231']);
+    });
+
+    await t.test('refuses a student from another family', async () => {
+      const response = await request('GET', '/api/guardian/G-502/students?session=2025-26', { token: studentToken });
+      assert.equal(response.status, 403);
+    });
+
+    await t.test('answers 404 for an unknown guardian', async () => {
+      const response = await request('GET', '/api/guardian/G-999/students?session=2025-26', { token: adminToken });
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'GUARDIAN_NOT_FOUND');
+    });
+  });
+
+  await t.test('GET /api/class-report', async (t) => {
+    await t.test('reports on a class', async () => {
+      const response = await request('GET', '/api/class-report?class=VIII-A', { token: teacherToken });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totalStudents, 3);
+    });
+
+    await t.test('is for staff only', async () => {
+      const response = await request('GET', '/api/class-report?class=VIII-A', { token: studentToken });
+      assert.equal(response.status, 403);
+    });
+
+    await t.test('needs a class', async () => {
+      const response = await request('GET', '/api/class-report', { token: adminToken });
+      assert.equal(response.status, 400);
+    });
+  });
+
+  await t.test('GET /api/alerts/attendance flags low attendance', async () => {
+    const response = await request('GET', '/api/alerts/attendance?class=VIII-A', { token: teacherToken });
+    assert.equal(response.status, 200);
+    assert.ok(JSON.stringify(response.body).includes('10233'));
+  });
+
+  await t.test('GET /api/export/attendance sends a CSV return', async () => {
+    const response = await request('GET', '/api/export/attendance?class=VIII-A&session=2025-26', { token: teacherToken });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attendance-VIII-A-2025-26\.csv/);
+    assert.match(response.body, /Kabir Singh/);
+  });
+
+  await t.test('GET /api/export/marks takes a term', async () => {
+    const response = await request('GET', '/api/export/marks?class=VIII-A&session=2025-26&term=2', { token: teacherToken });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /marks-VIII-A-2025-26-term2\.csv/);
+    assert.doesNotMatch(response.body, /UT1/);
+  });
+
+  await t.test('GET /api/export/marks filters by subject ID or name', async () => {
+    for (const subject of ['social_science', 'Social Science', 'sst']) {
+      const response = await request('GET', `/api/export/marks?class=VIII-A&session=2025-26&subject=${encodeURIComponent(subject)}`, { token: teacherToken });
+      assert.equal(response.status, 200);
+      assert.match(response.body, /Social Science UT1 \(25\)/);
+      assert.doesNotMatch(response.body, /Math UT1/);
+    }
+  });
+
+  await t.test('GET /api/admin/schema accepts multi-word subject columns', async () => {
+    const response = await request('GET', '/api/admin/schema', { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.schemas.map(schema => schema.unmatchedHeaders), [[], [], [], []]);
+  });
+
+  await t.test('GET /api/status', async () => {
+    const response = await request('GET', '/api/status');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dataSource, 'google-sheets');
+    assert.equal(response.body.dataSourceConfigured, true);
+    assert.deepEqual(response.body.schools.map(school => school.health), ['ok']);
+  });
+
+  await t.test('request IDs', async (t) => {
+    await t.test('are echoed from X-Request-Id', async () => {
+      const response = await fetch(`${server.baseUrl}/api/student-data`, { headers: { 'X-Request-Id': 'abc-123' } });
+      assert.equal(response.headers.get('x-request-id'), 'abc-123');
+      assert.equal((await response.json()).requestId, 'abc-123');
+    });
+
+    await t.test('are added to errors for unknown routes and bad JSON', async () => {
+      const unknown = await request('GET', '/api/nowhere');
+      assert.equal(unknown.status, 404);
+      assert.ok(unknown.body.requestId);
+
+      const badJson = await request('POST', '/api/auth/login', { body: '{"admission":' });
+      assert.equal(badJson.status, 400);
+      assert.ok(badJson.body.requestId);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAttendanceAlerts, findDecliningAttendance } = require('../lib/attendanceAlerts');
+const { loadWorkbook, workbookWithout } = require('./helpers/fixtures');
+
+const OPTIONS = { threshold: 75, declineMonths: 2, className: 'VIII-A', today: new Date(2025, 9, 1) };
+
+test('findDecliningAttendance', async (t) => {
+  await t.test('takes the months in session order', () => {
+    const attendance = [
+      { month: 'June', percentage: 70 },
+      { month: 'April', percentage: 90 },
+      { month: 'May', percentage: 80 }
+    ];
+    assert.deepEqual(findDecliningAttendance(attendance, 2), [
+      { month: 'April', percentage: 90 },
+      { month: 'May', percentage: 80 },
+      { month: 'June', percentage: 70 }
+    ]);
+  });
+
+  await t.test('starts the session at the given month', () => {
+    const attendance = [
+      { month: 'February', percentage: 80 },
+      { month: 'March', percentage: 70 },
+      { month: 'April', percentage: 90 }
+    ];
+    assert.deepEqual(findDecliningAttendance(attendance, 2).map(month => month.month), ['April', 'February', 'March']);
+    assert.equal(findDecliningAttendance(attendance, 2, 1), null);
+  });
+});
+
+test('buildAttendanceAlerts', async (t) => {
+  await t.test('flags the students of a class', () => {
+    const alerts = buildAttendanceAlerts(loadWorkbook(), OPTIONS);
+    assert.ok(alerts.students.some(student => student.admissionNo === '10233'));
+    assert.deepEqual(alerts.warnings, []);
+  });
+
+  await t.test('carries on without the Attendance and Assignments sheets', () => {
+    const alerts = buildAttendanceAlerts(workbookWithout('Attendance', 'Assignments'), OPTIONS);
+    assert.equal(alerts.studentsChecked, 3);
+    assert.deepEqual(alerts.students, []);
+    assert.deepEqual(alerts.warnings.map(warning => [warning.code, warning.sheet]), [
+      ['SHEET_MISSING', 'Assignments'],
+      ['SHEET_MISSING', 'Attendance']
+    ]);
+  });
+});
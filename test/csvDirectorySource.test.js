@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createDataSource } = require('../lib/dataSources');
+const { createTempDir } = require('./helpers/fixtures');
+
+test('CSV directory data source', async (t) => {
+  const directory = createTempDir();
+  const file = path.join(directory, 'Students.csv');
+  // Saved without a byte order mark, as most editors do
+  fs.writeFileSync(file, 'admission_no,name,class\n10231,आरव शर्मा,VIII-A\n10232,दिया वर्मा,VIII-A\n');
+  const source = createDataSource({ DATA_SOURCE: 'csv', DATA_SOURCE_PATH: directory });
+
+  await t.test('reads UTF-8 names', async () => {
+    const workbook = await source.fetchWorkbook(['Students!A:Z']);
+    assert.deepEqual(workbook.valueRanges[0].values, [
+      ['admission_no', 'name', 'class'],
+      ['10231', 'आरव शर्मा', 'VIII-A'],
+      ['10232', 'दिया वर्मा', 'VIII-A']
+    ]);
+  });
+
+  await t.test('writes cells without changing the other names', async () => {
+    await source.updateCells('Students', [{ row: 1, column: 2, value: 'VIII-B' }]);
+
+    const workbook = await source.fetchWorkbook(['Students!A:Z']);
+    assert.deepEqual(workbook.valueRanges[0].values.slice(1), [
+      ['10231', 'आरव शर्मा', 'VIII-B'],
+      ['10232', 'दिया वर्मा', 'VIII-A']
+    ]);
+    assert.match(fs.readFileSync(file, 'utf8'), /दिया वर्मा/);
+  });
+});
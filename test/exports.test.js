@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { buildMarksExport, buildAttendanceExport } = require('../lib/exports');
+const { buildClassReport } = require('../lib/classReport');
+const { getGradingScale } = require('../lib/grading');
+const { loadAcademicCalendar } = require('../lib/academicCalendar');
+const { FIXTURES_DIR, loadWorkbook, workbookWithout, sheetRows } = require('./helpers/fixtures');
+
+test('exports for one term', async (t) => {
+  const calendar = loadAcademicCalendar(path.join(FIXTURES_DIR, 'academicCalendar.json'));
+  const gradingScale = getGradingScale();
+
+  await t.test('the attendance return counts only the term\'s months', () => {
+    const options = { className: 'VIII-A', threshold: 75, calendar, session: '2025-26' };
+    const whole = buildAttendanceExport(loadWorkbook(), options);
+    const termOne = buildAttendanceExport(loadWorkbook(), { ...options, term: '1' });
+    const termTwo = buildAttendanceExport(loadWorkbook(), { ...options, term: '2' });
+
+    assert.deepEqual(termOne.rows.slice(1, 4), whole.rows.slice(1, 4));
+    assert.deepEqual(termTwo.rows.slice(1, 4).map(row => row[3]), [0, 0, 0]);
+  });
+
+  await t.test('the marks register keeps only tests dated in the term', () => {
+    const options = { className: 'VIII-A', gradingScale, calendar };
+    assert.ok(buildMarksExport(loadWorkbook(), { ...options, term: '1' }).tests > 0);
+    assert.equal(buildMarksExport(loadWorkbook(), { ...options, term: '2' }).tests, 0);
+  });
+});
+
+test('class reports and exports without optional sheets', async (t) => {
+  await t.test('the marks register lists the class with no tests', () => {
+    const exported = buildMarksExport(workbookWithout('Tests'), { className: 'VIII-A', gradingScale: getGradingScale() });
+    assert.equal(exported.students, 3);
+    assert.equal(exported.tests, 0);
+    assert.deepEqual(exported.warnings.map(warning => warning.sheet), ['Tests']);
+  });
+
+  await t.test('the attendance return lists the class with no days', () => {
+    const exported = buildAttendanceExport(workbookWithout('Attendance'), { className: 'VIII-A', threshold: 75 });
+    assert.equal(exported.students, 3);
+    assert.deepEqual(exported.warnings.map(warning => warning.sheet), ['Attendance']);
+  });
+
+  await t.test('the class report leaves out test figures', () => {
+    const report = buildClassReport(workbookWithout('Tests'), 'VIII-A');
+    assert.equal(report.totalStudents, 3);
+    assert.deepEqual(report.subjectTestAverages, []);
+    assert.deepEqual(report.warnings.map(warning => warning.sheet), ['Tests']);
+  });
+
+  await t.test('nothing is reported when every sheet is there', () => {
+    assert.deepEqual(buildMarksExport(loadWorkbook(), { className: 'VIII-A', gradingScale: getGradingScale() }).warnings, []);
+    assert.deepEqual(buildClassReport(loadWorkbook(), 'VIII-A').warnings, []);
+  });
+});
+
+test('tests without marks entered', async (t) => {
+  // 10231's English UT1 has a date and max marks but a blank marks cell
+  await t.test('are left out of the class report averages', () => {
+    const report = buildClassReport(loadWorkbook(), 'VIII-A');
+    const aarav = report.roster.find(student => student.admissionNo === '10231');
+    assert.equal(aarav.testsTaken, 4);
+    assert.equal(aarav.averageTestPercentage, 76);
+    assert.deepEqual(report.subjectTestAverages.find(subject => subject.subject === 'English'),
+      { subject: 'English', tests: 1, average: 90 });
+  });
+
+  await t.test('are blank in the marks register and left out of totals', () => {
+    const exported = buildMarksExport(loadWorkbook(), { className: 'VIII-A', subject: 'English', gradingScale: getGradingScale() });
+    const aarav = exported.rows.find(row => row[1] === '10231');
+    assert.deepEqual(aarav.slice(3), ['', '', '', '', '']);
+    const appeared = exported.rows.find(row => row[0] === 'Appeared');
+    assert.equal(appeared[3], 1);
+  });
+});
+
+test('the marks register keeps tests of a subject that share a name apart', () => {
+  const workbook = loadWorkbook();
+  const [headers, ...rows] = sheetRows(workbook, 'Tests');
+  const nameColumn = headers.indexOf('math_test2');
+  rows.filter(row => row[nameColumn]).forEach(row => { row[nameColumn] = 'UT1'; });
+
+  const exported = buildMarksExport(workbook, { className: 'VIII-A', subject: 'Math', gradingScale: getGradingScale() });
+  assert.equal(exported.tests, 2);
+  const aarav = exported.rows.find(row => row[1] === '10231');
+  assert.deepEqual(aarav.slice(3, 7), [20, 22, 42, 50]);
+});
+
+test('the class report keeps to one session of the attendance register', async (t) => {
+  // Last year's July kept in the same register, every student absent
+  const workbook = loadWorkbook();
+  const [headers, ...rows] = sheetRows(workbook, 'Attendance');
+  headers.push('15-07-2024', '16-07-2024');
+  rows.forEach(row => row.push('A', 'A'));
+
+  await t.test('counts only the given session', () => {
+    const report = buildClassReport(workbook, 'VIII-A', { session: { startYear: 2025, startMonth: 4 } });
+    const july = report.monthlyAttendance.filter(month => month.month === 'July');
+    assert.deepEqual(july.map(month => [month.year, month.mean]), [[2025, 63.3]]);
+  });
+
+  await t.test('keeps the same month of two years apart', () => {
+    const report = buildClassReport(workbook, 'VIII-A');
+    const july = report.monthlyAttendance.filter(month => month.month === 'July');
+    assert.deepEqual(july.map(month => [month.year, month.mean]), [[2024, 0], [2025, 63.3]]);
+  });
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDataSource } = require('../lib/dataSources');
+const { loadWorkbook, workbookWithout } = require('./helpers/fixtures');
+const { startMockSheetsServer } = require('./helpers/mockSheetsServer');
+
+const RANGES = ['Students!A:Z', 'Subjects!A:ZZ', 'Tests!A:ZZ', 'Corrections!A:ZZ'];
+
+function createSource(mock, overrides = {}) {
+  return createDataSource({
+    DATA_SOURCE: 'google-sheets',
+    GOOGLE_SHEETS_ID: 'test-spreadsheet',
+    GOOGLE_SHEETS_API_KEY: 'test-key',
+    GOOGLE_SHEETS_API_URL: mock.url,
+    ...overrides
+  });
+}
+
+test('Google Sheets data source', async (t) => {
+  const mock = await startMockSheetsServer({ workbook: loadWorkbook() });
+  t.after(() => mock.close());
+
+  await t.test('fetches every range in one batchGet', async () => {
+    const workbook = await createSource(mock).fetchWorkbook(RANGES);
+
+    assert.deepEqual(workbook.valueRanges.map(v => v.range), ['Students!A1:I5', 'Subjects!A1:K5', 'Tests!A1:W4', 'Corrections!A1:E2']);
+    assert.deepEqual(workbook.missingSheets, []);
+    assert.deepEqual(mock.requests.at(-1), RANGES);
+  });
+
+  await t.test('drops tabs that do not exist and retries', async () => {
+    mock.setWorkbook(workbookWithout('Corrections'));
+    t.after(() => mock.setWorkbook(loadWorkbook()));
+    mock.requests.length = 0;
+
+    const workbook = await createSource(mock).fetchWorkbook(RANGES);
+
+    assert.deepEqual(workbook.missingSheets, ['Corrections']);
+    assert.equal(workbook.valueRanges.length, 3);
+    assert.equal(mock.requests.length, 2);
+  });
+
+  await t.test('reports a rejected API key as UPSTREAM_ERROR', async () => {
+    await assert.rejects(createSource(mock, { GOOGLE_SHEETS_API_KEY: 'wrong-key' }).fetchWorkbook(RANGES), {
+      status: 502,
+      code: 'UPSTREAM_ERROR'
+    });
+  });
+
+  await t.test('reports a missing ID or key as DATA_SOURCE_NOT_CONFIGURED', async () => {
+    const source = createSource(mock, { GOOGLE_SHEETS_ID: '' });
+    assert.equal(source.configured, false);
+    await assert.rejects(source.fetchWorkbook(RANGES), { status: 503, code: 'DATA_SOURCE_NOT_CONFIGURED' });
+  });
+
+  await t.test('reports an unreachable API as UPSTREAM_UNAVAILABLE', async () => {
+    const closed = await startMockSheetsServer({ workbook: loadWorkbook() });
+    await closed.close();
+
+    await assert.rejects(createSource(closed).fetchWorkbook(RANGES), { status: 503, code: 'UPSTREAM_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashPassword } = require('../../lib/auth');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Password of every staff account written by writeStaffFile()
+const STAFF_PASSWORD = 'test-password';
+
+// A fresh copy of the fixture workbook (a saved batchGet response)
+function loadWorkbook() {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'workbook.json'), 'utf8'));
+}
+
+// The fixture workbook with some sheets left out
+function workbookWithout(...sheetNames) {
+  const workbook = loadWorkbook();
+  const unwanted = sheetNames.map(name => name.toLowerCase());
+  workbook.valueRanges = workbook.valueRanges.filter(valueRange =>
+    !unwanted.includes(sheetName(valueRange).toLowerCase()));
+  return workbook;
+}
+
+// Rows of one fixture sheet, header row first
+function sheetRows(workbook, name) {
+  const valueRange = workbook.valueRanges.find(v => sheetName(v).toLowerCase() === name.toLowerCase());
+  return valueRange ? valueRange.values : null;
+}
+
+// Headers and one student's row from a fixture sheet, as the processors take them
+function studentRow(workbook, name, admissionNo) {
+  const [headers, ...rows] = sheetRows(workbook, name);
+  return { headers, row: rows.find(row => row[0] === admissionNo) || null };
+}
+
+function sheetName(valueRange) {
+  return valueRange.range.substring(0, valueRange.range.lastIndexOf('!'));
+}
+
+// A temporary directory removed when the test process exits
+function createTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attendance-api-test-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Staff accounts file with a VIII-A class teacher and an admin
+function writeStaffFile(dir) {
+  const file = path.join(dir, 'staff.json');
+  fs.writeFileSync(file, JSON.stringify([
+    { username: 'classteacher.8a', name: 'Class Teacher VIII-A', passwordHash: hashPassword(STAFF_PASSWORD), role: 'teacher', classes: ['VIII-A'] },
+    { username: 'admin', name: 'School Office', passwordHash: hashPassword(STAFF_PASSWORD), role: 'admin' }
+  ]));
+  return file;
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  STAFF_PASSWORD,
+  loadWorkbook,
+  workbookWithout,
+  sheetRows,
+  studentRow,
+  createTempDir,
+  writeStaffFile
+};
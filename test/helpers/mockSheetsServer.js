@@ -0,0 +1,64 @@
+const http = require('http');
+
+// Local stand-in for the Sheets API values:batchGet endpoint, serving a
+// fixture workbook. Like Google it answers 403 for a wrong API key and
+// fails the whole batch with 400 "Unable to parse range" when a requested
+// tab doesn't exist.
+//
+// Resolves to { url, requests, setWorkbook, close }; `requests` lists the
+// ranges of every batchGet received.
+function startMockSheetsServer({ workbook, apiKey = 'test-key', spreadsheetId = 'test-spreadsheet' }) {
+  let current = workbook;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== 'GET' || url.pathname !== `/v4/spreadsheets/${spreadsheetId}/values:batchGet`) {
+      return send(404, { error: { code: 404, message: 'Requested entity was not found.', status: 'NOT_FOUND' } });
+    }
+    if (url.searchParams.get('key') !== apiKey) {
+      return send(403, { error: { code: 403, message: 'The caller does not have permission', status: 'PERMISSION_DENIED' } });
+    }
+
+    const ranges = url.searchParams.getAll('ranges');
+    requests.push(ranges);
+
+    const valueRanges = [];
+    for (const range of ranges) {
+      const name = range.substring(0, range.lastIndexOf('!')).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+      const sheet = current.valueRanges.find(v =>
+        v.range.substring(0, v.range.lastIndexOf('!')).toLowerCase() === name.toLowerCase());
+
+      if (!sheet) {
+        return send(400, { error: { code: 400, message: `Unable to parse range: ${range}`, status: 'INVALID_ARGUMENT' } });
+      }
+      // Google leaves `values` out for empty sheets
+      valueRanges.push(sheet.values && sheet.values.length > 0
+        ? { range: sheet.range, majorDimension: 'ROWS', values: sheet.values }
+        : { range: sheet.range, majorDimension: 'ROWS' });
+    }
+
+    send(200, { spreadsheetId, valueRanges });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setWorkbook: (next) => { current = next; },
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startMockSheetsServer };
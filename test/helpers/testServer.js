@@ -0,0 +1,46 @@
+// Start the app on a free port with the given environment. app.js reads
+// its configuration when first required, so each test file (which node
+// --test runs in its own process) can only start it once.
+function startApp(env) {
+  delete process.env.TENANTS_FILE;
+  Object.assign(process.env, env);
+  const app = require('../../app');
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+      // fetch() wrapper: JSON bodies in, { status, headers, body } out
+      async function request(method, path, { token, body } = {}) {
+        const headers = {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const response = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+        });
+        const type = response.headers.get('content-type') || '';
+        const text = await response.text();
+        return {
+          status: response.status,
+          headers: response.headers,
+          body: type.includes('application/json') ? JSON.parse(text) : text
+        };
+      }
+
+      resolve({
+        app,
+        baseUrl,
+        request,
+        close: () => new Promise(done => {
+          server.close(done);
+          server.closeAllConnections();
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startApp };
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const path = require('path');
+const assert = require('node:assert/strict');
+const { isQuietTime, parseQuietHours, createNotifier } = require('../lib/notifications');
+const { buildSnapshot } = require('../lib/notifications/events');
+const { getTemplates } = require('../lib/notifications/templates');
+const { loadWorkbook, workbookWithout, sheetRows, createTempDir } = require('./helpers/fixtures');
+
+test('isQuietTime reads the clock of the school time zone', async (t) => {
+  const quiet = parseQuietHours('21:00-07:00');
+
+  await t.test('uses Asia/Kolkata by default, whatever the server zone', () => {
+    assert.equal(isQuietTime(new Date('2025-07-01T16:00:00Z'), quiet), true);   // 21:30 in India
+    assert.equal(isQuietTime(new Date('2025-07-01T01:00:00Z'), quiet), true);   // 06:30
+    assert.equal(isQuietTime(new Date('2025-07-01T01:30:00Z'), quiet), false);  // 07:00
+    assert.equal(isQuietTime(new Date('2025-07-01T10:00:00Z'), quiet), false);  // 15:30
+  });
+
+  await t.test('follows another zone when given one', () => {
+    const date = new Date('2025-07-01T16:00:00Z');
+    assert.equal(isQuietTime(date, quiet, 'UTC'), false);
+    assert.equal(isQuietTime(date, quiet, 'Asia/Dubai'), false);   // 20:00
+    assert.equal(isQuietTime(date, quiet, 'Asia/Tokyo'), true);    // 01:00
+  });
+
+  await t.test('the notifier refuses an unknown zone', () => {
+    assert.throws(() => createNotifier({ channels: [], quietHours: '21:00-07:00', timeZone: 'Mars/Olympus' }),
+      /Invalid notification time zone/);
+  });
+});
+
+test('buildSnapshot keeps to the session of the day it is taken', () => {
+  // An absence from last year's July kept in the same register
+  const workbook = loadWorkbook();
+  const [headers, ...rows] = sheetRows(workbook, 'Attendance');
+  headers.push('15-07-2024');
+  rows.forEach(row => row.push('A'));
+
+  const snapshot = buildSnapshot(workbook, { threshold: 75, today: new Date(2025, 7, 1) });
+  assert.deepEqual(snapshot.students['10232'].absences, []);
+  assert.equal(snapshot.students['10232'].attendance.percentage, 100);
+});
+
+test('notification runs without an optional sheet', async (t) => {
+  let workbook = loadWorkbook();
+  const notifier = createNotifier({
+    channels: [],
+    templates: getTemplates(),
+    stateFile: path.join(createTempDir(), 'notify-state.json'),
+    threshold: 75,
+    fetchWorkbook: async () => ({ data: workbook })
+  });
+  await notifier.run();
+
+  await t.test('report the missing sheet instead of failing', async () => {
+    workbook = workbookWithout('Assignments');
+    const preview = await notifier.preview();
+    assert.deepEqual(preview.warnings.map(warning => warning.sheet), ['Assignments']);
+    const result = await notifier.run();
+    assert.deepEqual(result.warnings.map(warning => warning.sheet), ['Assignments']);
+    assert.equal(result.events, 0);
+  });
+
+  await t.test('find nothing new when the sheet is back', async () => {
+    workbook = loadWorkbook();
+    const preview = await notifier.preview();
+    assert.deepEqual(preview.warnings, []);
+    assert.equal(preview.events, 0);
+  });
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { renderReportCard } = require('../lib/reportCard');
+const { FIXTURES_DIR, STAFF_PASSWORD, loadWorkbook, createTempDir, writeStaffFile } = require('./helpers/fixtures');
+const { startMockSheetsServer } = require('./helpers/mockSheetsServer');
+const { startApp } = require('./helpers/testServer');
+
+const STUDENT = {
+  studentInfo: { name: 'आरव शर्मा', class: 'VIII-A', admissionNo: '10231' },
+  subjectProgress: [{ subject: 'हिंदी', progress: 80, grade: 'A' }],
+  tests: [],
+  attendance: [{ month: 'July', workingDays: 5, present: 4, absent: 1, percentage: 80 }],
+  assignments: [],
+  corrections: [],
+  summary: {}
+};
+
+test('renderReportCard embeds a font with Devanagari', async () => {
+  const pdf = (await renderReportCard(STUDENT, { threshold: 85 })).toString('latin1');
+  assert.match(pdf, /^%PDF/);
+  assert.match(pdf, /NotoSansDevanagari/);
+  assert.doesNotMatch(pdf, /Helvetica/);
+});
+
+test('GET /api/class-report/report-cards.zip skips students it cannot read', async (t) => {
+  const workbook = loadWorkbook();
+  const students = workbook.valueRanges.find(valueRange => valueRange.range.startsWith('Students!'));
+  students.values.push(['', 'Meera Nair', 'VIII-A', '4']);
+
+  const tempDir = createTempDir();
+  const mock = await startMockSheetsServer({ workbook });
+  const server = await startApp({
+    DATA_SOURCE: 'google-sheets',
+    GOOGLE_SHEETS_ID: 'test-spreadsheet',
+    GOOGLE_SHEETS_API_KEY: 'test-key',
+    GOOGLE_SHEETS_API_URL: mock.url,
+    STAFF_ACCOUNTS_FILE: writeStaffFile(tempDir),
+    ACADEMIC_CALENDAR_FILE: path.join(FIXTURES_DIR, 'academicCalendar.json'),
+    AUDIT_LOG_FILE: path.join(tempDir, 'audit.log'),
+    NOTIFY_STATE_FILE: path.join(tempDir, 'notification-state.json'),
+    AUTH_JWT_SECRET: 'test-secret'
+  });
+  t.after(async () => {
+    await server.close();
+    await mock.close();
+  });
+
+  const login = await server.request('POST', '/api/auth/staff-login', { body: { username: 'admin', password: STAFF_PASSWORD } });
+  const response = await fetch(`${server.baseUrl}/api/class-report/report-cards.zip?class=VIII-A`, {
+    headers: { Authorization: `Bearer ${login.body.token}` }
+  });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'application/zip');
+
+  // Entry names are stored uncompressed in the zip
+  const zip = Buffer.from(await response.arrayBuffer()).toString('latin1');
+  ['1-10231-Aarav_Sharma.pdf', '2-10232-Diya_Verma.pdf', '3-10233-Kabir_Singh.pdf', 'skipped.txt']
+    .forEach(name => assert.ok(zip.includes(name), `${name} is in the archive`));
+});
@@ -0,0 +1,416 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  processStudentData,
+  processHorizontalSubjects,
+  processHorizontalActivities,
+  processHorizontalAssignments,
+  processHorizontalTests,
+  processHorizontalCorrections,
+  processHorizontalAttendance,
+  processDailyAttendance,
+  summarizeDailyAttendance,
+  getRecentTests,
+  calculateOverallAttendance,
+  parseSheetDate,
+  indexSheetsByName
+} = require('../lib/sheetProcessors');
+const { loadWorkbook, workbookWithout, studentRow } = require('./helpers/fixtures');
+
+const workbook = loadWorkbook();
+
+test('processHorizontalSubjects', async (t) => {
+  await t.test('reads every <subject>_progress column with its grade', () => {
+    const { row, headers } = studentRow(workbook, 'Subjects', '10231');
+    assert.deepEqual(processHorizontalSubjects(row, headers), [
+      { subject: 'Math', subjectId: 'math', progress: 82, grade: 'A2' },
+      { subject: 'Science', subjectId: 'science', progress: 74, grade: 'B1' },
+      { subject: 'English', subjectId: 'english', progress: 68, grade: 'B2' },
+      { subject: 'Hindi', subjectId: 'hindi', progress: 90, grade: 'A1' },
+      { subject: 'Social Science', subjectId: 'social_science', progress: 77, grade: 'B1' }
+    ]);
+  });
+
+  await t.test('skips subjects past the end of a ragged row', () => {
+    const { row, headers } = studentRow(workbook, 'Subjects', '10233');
+    assert.deepEqual(processHorizontalSubjects(row, headers).map(s => s.subject), ['Math', 'Science']);
+  });
+
+  await t.test('leaves the grade empty without a grade column', () => {
+    assert.deepEqual(processHorizontalSubjects(['10231', '64'], ['admission_no', 'math_progress']), [
+      { subject: 'Math', subjectId: 'math', progress: 64, grade: '' }
+    ]);
+  });
+
+  await t.test('is empty without a row', () => {
+    assert.deepEqual(processHorizontalSubjects(null, ['admission_no', 'math_progress']), []);
+  });
+});
+
+test('processHorizontalActivities', async (t) => {
+  await t.test('reads items with their date, description and status', () => {
+    const { row, headers } = studentRow(workbook, 'Activities', '10231');
+    assert.deepEqual(processHorizontalActivities(row, headers), [
+      { key: 'math_activity1', subject: 'Math', subjectId: 'math', activity: 'Fraction Quiz', date: '11-07-2025', description: 'Quiz on fractions', status: 'complete' },
+      { key: 'science_activity1', subject: 'Science', subjectId: 'science', activity: 'Plant Cell Model', date: '18-07-2025', description: 'Model of a plant cell', status: 'pending' }
+    ]);
+  });
+
+  await t.test('fills in missing columns of a ragged row and normalizes the status', () => {
+    const { row, headers } = studentRow(workbook, 'Activities', '10232');
+    assert.deepEqual(processHorizontalActivities(row, headers), [
+      { key: 'math_activity1', subject: 'Math', subjectId: 'math', activity: 'Fraction Quiz', date: '11-07-2025', description: 'Quiz on fractions', status: 'complete' }
+    ]);
+  });
+
+  await t.test('skips items with a blank name', () => {
+    const { row, headers } = studentRow(workbook, 'Activities', '10233');
+    assert.deepEqual(processHorizontalActivities(row, headers), []);
+  });
+});
+
+test('processHorizontalAssignments', async (t) => {
+  await t.test('reads dates, status and remarks', () => {
+    const { row, headers } = studentRow(workbook, 'Assignments', '10231');
+    assert.deepEqual(processHorizontalAssignments(row, headers), [
+      { key: 'math_assignment1', subject: 'Math', subjectId: 'math', name: 'Worksheet 3', assignedDate: '01-07-2025', dueDate: '08-07-2025', status: 'pending', remarks: '' },
+      { key: 'english_assignment1', subject: 'English', subjectId: 'english', name: 'Essay: My School', assignedDate: '03-07-2025', dueDate: '15-07-2025', status: 'complete', remarks: 'Well written' }
+    ]);
+  });
+
+  await t.test('fills in columns missing from a ragged row', () => {
+    const { row, headers } = studentRow(workbook, 'Assignments', '10232');
+    const [, essay] = processHorizontalAssignments(row, headers);
+    assert.equal(essay.status, 'complete');
+    assert.equal(essay.remarks, '');
+
+    const headersOnly = ['admission_no', 'math_assignment1'];
+    assert.deepEqual(processHorizontalAssignments(['10232', 'Worksheet 4'], headersOnly), [
+      { key: 'math_assignment1', subject: 'Math', subjectId: 'math', name: 'Worksheet 4', assignedDate: '', dueDate: '', status: 'pending', remarks: '' }
+    ]);
+  });
+});
+
+test('processHorizontalTests', async (t) => {
+  await t.test('computes percentages and grades from the marks', () => {
+    const { row, headers } = studentRow(workbook, 'Tests', '10232');
+    const [test1] = processHorizontalTests(row, headers);
+    assert.deepEqual(test1, {
+      key: 'math_test1',
+      subject: 'Math',
+      subjectId: 'math',
+      name: 'UT1',
+      date: '15-07-2025',
+      maxMarks: 25,
+      marksObtained: 23,
+      percentage: 92,
+      grade: 'A1',
+      sources: { percentage: 'computed', grade: 'computed' }
+    });
+  });
+
+  await t.test('reports a grade typed in the sheet that disagrees with the marks', () => {
+    const { row, headers } = studentRow(workbook, 'Tests', '10231');
+    const mismatches = [];
+    const [test1] = processHorizontalTests(row, headers, undefined, mismatches);
+    assert.equal(test1.percentage, 80);
+    assert.equal(test1.grade, 'B1');
+    assert.deepEqual(mismatches, [
+      { section: 'tests', subject: 'Math', name: 'UT1', field: 'grade', sheetValue: 'A2', computedValue: 'B1' }
+    ]);
+  });
+
+  await t.test('reads blank marks as not entered, not as zero', () => {
+    const { row, headers } = studentRow(workbook, 'Tests', '10231');
+    const english = processHorizontalTests(row, headers).find(test => test.subject === 'English');
+    assert.equal(english.marksObtained, null);
+    assert.equal(english.maxMarks, 20);
+    assert.equal(english.percentage, null);
+    assert.equal(english.grade, '');
+    assert.deepEqual(english.sources, { percentage: 'sheet', grade: 'sheet' });
+  });
+
+  await t.test('keeps the sheet percentage when there are no max marks', () => {
+    const headers = ['admission_no', 'math_test1', 'math_test1_percentage', 'math_test1_grade'];
+    const [test1] = processHorizontalTests(['10231', 'UT1', '64', 'B2'], headers);
+    assert.equal(test1.percentage, 64);
+    assert.equal(test1.grade, 'B2');
+    assert.deepEqual(test1.sources, { percentage: 'sheet', grade: 'computed' });
+  });
+
+  await t.test('reads only the columns a ragged row has', () => {
+    const { row, headers } = studentRow(workbook, 'Tests', '10233');
+    const tests = processHorizontalTests(row, headers);
+    assert.equal(tests.length, 1);
+    assert.equal(tests[0].percentage, 44);
+    assert.equal(tests[0].grade, 'C2');
+  });
+});
+
+test('processHorizontalCorrections', () => {
+  const { row, headers } = studentRow(workbook, 'Corrections', '10231');
+  assert.deepEqual(processHorizontalCorrections(row, headers), [
+    { key: 'math_correction1', subject: 'Math', subjectId: 'math', copyType: 'Class Notebook', date: '21-07-2025', improvements: 'Neater diagrams', remarks: 'Good progress' }
+  ]);
+});
+
+test('processHorizontalAttendance', async (t) => {
+  await t.test('combines monthly totals with register months', () => {
+    const { row, headers } = studentRow(workbook, 'Attendance', '10231');
+    const mismatches = [];
+    const attendance = processHorizontalAttendance(row, headers, mismatches);
+
+    assert.deepEqual(attendance.map(m => [m.month, m.workingDays, m.present, m.absent, m.percentage]), [
+      ['April', 22, 20, 2, 90.9],
+      ['May', 20, 16, 4, 80],
+      ['June', 10, 7, 3, 70],
+      ['July', 6, 3, 3, 50]
+    ]);
+    assert.equal(attendance[3].leave, 1);
+    assert.deepEqual(mismatches, []);
+  });
+
+  await t.test('reports a percentage typed in the sheet that disagrees with the days', () => {
+    const headers = ['admission_no', 'april_working', 'april_present', 'april_absent', 'april_percent'];
+    const mismatches = [];
+    const [april] = processHorizontalAttendance(['10231', '20', '15', '5', '80'], headers, mismatches);
+    assert.equal(april.percentage, 75);
+    assert.deepEqual(mismatches, [
+      { section: 'attendance', month: 'April', field: 'percentage', sheetValue: 80, computedValue: 75 }
+    ]);
+  });
+
+  await t.test('lets register days replace the monthly totals of the same month', () => {
+    const headers = ['admission_no', 'july_working', 'july_present', '01-07-2025', '02-07-2025'];
+    const attendance = processHorizontalAttendance(['10231', '20', '18', 'P', 'A'], headers);
+    assert.deepEqual(attendance.map(m => [m.month, m.workingDays, m.present]), [['July', 2, 1]]);
+  });
+
+  await t.test('keeps only register days inside the session', () => {
+    const headers = ['admission_no', 'july_working', 'july_present', '01-07-2024', '01-07-2025', '02-07-2025', '01-03-2026', '01-04-2026'];
+    const session = { startYear: 2025, startMonth: 4 };
+    const attendance = processHorizontalAttendance(['10231', '20', '18', 'A', 'P', 'A', 'P', 'A'], headers, [], session);
+    assert.deepEqual(attendance.map(m => [m.month, m.year, m.workingDays, m.present]), [
+      ['July', 2025, 2, 1],
+      ['March', 2026, 1, 1]
+    ]);
+  });
+
+  await t.test('orders monthly totals and register months by the session', () => {
+    const headers = ['admission_no', 'january_working', 'january_present', 'april_working', 'april_present', '01-07-2025', '02-02-2026'];
+    const session = { startYear: 2025, startMonth: 4 };
+    const attendance = processHorizontalAttendance(['10231', '20', '18', '22', '20', 'P', 'A'], headers, [], session);
+    assert.deepEqual(attendance.map(m => m.month), ['April', 'July', 'January', 'February']);
+  });
+
+  await t.test('skips months without working days', () => {
+    const headers = ['admission_no', 'april_working', 'april_present', 'may_working'];
+    assert.deepEqual(processHorizontalAttendance(['10231', '', ''], headers), []);
+  });
+});
+
+test('processDailyAttendance and summarizeDailyAttendance', async (t) => {
+  const { row, headers } = studentRow(workbook, 'Attendance', '10233');
+
+  await t.test('reads the P/A/L/H register in date order', () => {
+    const days = processDailyAttendance(row, headers);
+    assert.deepEqual(days.map(day => [day.date, day.code, day.status]), [
+      ['01-07-2025', 'A', 'absent'],
+      ['02-07-2025', 'A', 'absent'],
+      ['03-07-2025', 'P', 'present'],
+      ['04-07-2025', 'A', 'absent'],
+      ['07-07-2025', 'P', 'present'],
+      ['08-07-2025', 'H', 'holiday']
+    ]);
+  });
+
+  await t.test('skips blank cells and unknown codes', () => {
+    const days = processDailyAttendance(['10231', 'p', '', 'X'], ['admission_no', '01-07-2025', '02-07-2025', '03-07-2025']);
+    assert.deepEqual(days.map(day => day.code), ['P']);
+  });
+
+  await t.test('does not count holidays as working days', () => {
+    assert.deepEqual(summarizeDailyAttendance(processDailyAttendance(row, headers)), [
+      { month: 'July', year: 2025, workingDays: 5, present: 2, absent: 3, leave: 0, percentage: 0 }
+    ]);
+  });
+
+  await t.test('keeps the same month of different years apart', () => {
+    const days = processDailyAttendance(['10231', 'P', 'A', 'P'], ['admission_no', '01-07-2025', '01-07-2026', '02-07-2026']);
+    assert.deepEqual(summarizeDailyAttendance(days).map(m => [m.month, m.year, m.workingDays, m.present]), [
+      ['July', 2025, 1, 1],
+      ['July', 2026, 2, 1]
+    ]);
+  });
+});
+
+test('processStudentData', async (t) => {
+  await t.test('builds the full student response', () => {
+    const data = processStudentData(workbook, '10231');
+
+    assert.deepEqual(data.studentInfo, {
+      name: 'Aarav Sharma',
+      class: 'VIII-A',
+      admissionNo: '10231',
+      rollNo: '1',
+      dob: '14-03-2012',
+      contact: '98100 11111, sharma.family@example.com',
+      photoUrl: '/api/placeholder/120/120'
+    });
+    assert.equal(data.subjectProgress.length, 5);
+    assert.equal(data.subjectActivities.length, 2);
+    assert.equal(data.assignments.length, 2);
+    assert.equal(data.corrections.length, 1);
+    assert.deepEqual(data.summary, {
+      totalSubjects: 5,
+      completedAssignments: 1,
+      pendingAssignments: 1,
+      attendancePercentage: '79.3%'
+    });
+    assert.deepEqual(data.recentTests.map(test => `${test.subject} ${test.name}`),
+      ['Math UT2', 'Social Science UT1', 'English UT1', 'Science UT1', 'Math UT1']);
+    assert.equal(data.dataMismatches.length, 1);
+    assert.deepEqual(data.warnings, []);
+  });
+
+  await t.test('groups every section by subject', () => {
+    const data = processStudentData(workbook, '10231');
+
+    assert.deepEqual(data.subjects.map(group => group.subjectId), ['math', 'science', 'english', 'hindi', 'social_science']);
+    const [math, , , hindi, socialScience] = data.subjects;
+    assert.equal(math.progress, 82);
+    assert.deepEqual(math.tests.map(test => test.name), ['UT1', 'UT2']);
+    assert.equal(math.subjectActivities.length, 1);
+    assert.equal(math.assignments.length, 1);
+    assert.equal(math.corrections.length, 1);
+    assert.deepEqual(hindi.tests, []);
+    assert.equal(socialScience.subject, 'Social Science');
+    assert.deepEqual(socialScience.tests.map(test => test.marksObtained), [19]);
+  });
+
+  await t.test('adds subjects missing from the Subjects sheet after the others', () => {
+    const data = processStudentData(workbookWithout('Subjects'), '10231');
+    assert.deepEqual(data.subjects.map(group => [group.subjectId, group.progress]), [
+      ['math', null], ['science', null], ['english', null], ['social_science', null]
+    ]);
+  });
+
+  await t.test('reads a student missing from the optional sheets as empty sections', () => {
+    const data = processStudentData(workbook, '10310');
+    assert.deepEqual(data.tests, []);
+    assert.deepEqual(data.subjectActivities, []);
+    assert.deepEqual(data.corrections, []);
+    assert.deepEqual(data.warnings, []);
+  });
+
+  await t.test('warns about a missing optional sheet', () => {
+    const data = processStudentData(workbookWithout('Corrections'), '10231');
+    assert.deepEqual(data.corrections, []);
+    assert.deepEqual(data.warnings, [
+      { code: 'SHEET_MISSING', sheet: 'Corrections', message: 'Sheet Corrections is missing from the workbook' }
+    ]);
+  });
+
+  await t.test('warns about empty sheets and sheets without an admission_no column', () => {
+    const broken = loadWorkbook();
+    indexSheetsByName(broken).subjects.values = [];
+    indexSheetsByName(broken).activities.values = [['student', 'math_activity1'], ['10231', 'Quiz']];
+
+    const data = processStudentData(broken, '10231');
+    assert.deepEqual(data.subjectProgress, []);
+    assert.deepEqual(data.subjectActivities, []);
+    assert.deepEqual(data.warnings, [
+      { code: 'SHEET_MALFORMED', sheet: 'Subjects', message: 'Sheet Subjects is empty' },
+      { code: 'SHEET_MALFORMED', sheet: 'Activities', message: 'Sheet Activities has no admission_no column' }
+    ]);
+  });
+
+  await t.test('throws STUDENT_NOT_FOUND for an unknown admission number', () => {
+    assert.throws(() => processStudentData(workbook, '99999'), { status: 404, code: 'STUDENT_NOT_FOUND' });
+  });
+
+  await t.test('throws when the Students sheet is missing or has no header row', () => {
+    assert.throws(() => processStudentData(workbookWithout('Students'), '10231'), { status: 422, code: 'SHEET_MISSING' });
+
+    const empty = loadWorkbook();
+    indexSheetsByName(empty).students.values = [];
+    assert.throws(() => processStudentData(empty, '10231'), { status: 422, code: 'SHEET_MALFORMED' });
+  });
+});
+
+test('multi-word subjects', async (t) => {
+  await t.test('are read from the Subjects sheet', () => {
+    const { row, headers } = studentRow(workbook, 'Subjects', '10231');
+    assert.ok(processHorizontalSubjects(row, headers).some(s => s.subject === 'Social Science'));
+  });
+
+  await t.test('are read from item sheets', () => {
+    const { row, headers } = studentRow(workbook, 'Tests', '10231');
+    const test1 = processHorizontalTests(row, headers).find(test => test.subject === 'Social Science');
+    assert.ok(test1);
+    assert.equal(test1.subjectId, 'social_science');
+    assert.equal(test1.date, '18-07-2025');
+    assert.equal(test1.marksObtained, 19);
+  });
+
+  await t.test('keep every word of the subject', () => {
+    const headers = ['admission_no', 'computer_science_assignment2', 'computer_science_assignment2_due_date', 'hindi_course_b_assignment1'];
+    assert.deepEqual(processHorizontalAssignments(['10231', 'Flowcharts', '20-07-2025', 'Patra Lekhan'], headers)
+      .map(a => [a.subject, a.subjectId, a.dueDate]), [
+      ['Computer Science', 'computer_science', '20-07-2025'],
+      ['Hindi Course B', 'hindi_course_b', '']
+    ]);
+  });
+
+  await t.test('may be written in Devanagari', () => {
+    const headers = ['admission_no', 'संस्कृत_test1', 'संस्कृत_test1_max_marks', 'संस्कृत_test1_marks_obtained'];
+    const [test1] = processHorizontalTests(['10231', 'UT1', '20', '17'], headers);
+    assert.equal(test1.subject, 'संस्कृत');
+    assert.equal(test1.subjectId, 'संस्कृत');
+    assert.equal(test1.percentage, 85);
+  });
+
+  await t.test('use the display names of the subject names file', () => {
+    const headers = ['admission_no', 'evs_progress', 'sst_progress', 'evs_activity1'];
+    assert.deepEqual(processHorizontalSubjects(['10231', '70', '80'], headers).map(s => [s.subject, s.subjectId]), [
+      ['Environmental Studies', 'environmental_studies'],
+      ['Social Science', 'social_science']
+    ]);
+    assert.equal(processHorizontalActivities(['10231', '70', '80', 'Leaf collection'], headers)[0].subject, 'Environmental Studies');
+  });
+});
+
+test('processHorizontalAttendance names months written short', () => {
+  const headers = ['admission_no', 'sept_working', 'sept_present', 'Oct_working', 'oct_present', '01-10-2025', '03-10-2025'];
+  const attendance = processHorizontalAttendance(['10231', '20', '18', '22', '20', 'P', 'A'], headers);
+  assert.deepEqual(attendance.map(m => [m.month, m.workingDays, m.present]), [
+    ['September', 20, 18],
+    ['October', 2, 1]
+  ]);
+});
+
+test('getRecentTests puts undated tests last', () => {
+  const tests = [
+    { subject: 'Math', subjectId: 'math', name: 'Oral', date: '', maxMarks: 10, marksObtained: 8 },
+    { subject: 'Math', subjectId: 'math', name: 'UT1', date: '15-07-2025', maxMarks: 25, marksObtained: 20 },
+    { subject: 'Math', subjectId: 'math', name: 'UT2', date: '19-08-2025', maxMarks: 25, marksObtained: 22 }
+  ];
+  assert.deepEqual(getRecentTests(tests).map(test => test.name), ['UT2', 'UT1', 'Oral']);
+  assert.equal(getRecentTests(tests)[0].marks, '22/25');
+});
+
+test('calculateOverallAttendance weights months by working days', () => {
+  assert.equal(calculateOverallAttendance([
+    { workingDays: 20, present: 20 },
+    { workingDays: 5, present: 0 }
+  ]), 80);
+  assert.equal(calculateOverallAttendance([]), 0);
+});
+
+test('parseSheetDate', () => {
+  assert.deepEqual(parseSheetDate('05-07-2025'), new Date(2025, 6, 5));
+  assert.deepEqual(parseSheetDate(' 5-7-2025 '), new Date(2025, 6, 5));
+  assert.equal(parseSheetDate('31-02-2025'), null);
+  assert.equal(parseSheetDate('2025-07-05'), null);
+  assert.equal(parseSheetDate(''), null);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWorkbook } = require('../lib/sheetValidator');
+const { workbookWithout } = require('./helpers/fixtures');
+
+test('validateWorkbook', async (t) => {
+  await t.test('reports a missing optional sheet instead of failing', () => {
+    const result = validateWorkbook(workbookWithout('Corrections', 'Attendance'));
+    const missing = result.issues.filter(issue => issue.rule === 'missing_sheet');
+    assert.deepEqual(missing.map(issue => [issue.sheet, issue.severity]), [
+      ['Attendance', 'warning'],
+      ['Corrections', 'warning']
+    ]);
+  });
+
+  await t.test('still needs the Students sheet', () => {
+    assert.throws(() => validateWorkbook(workbookWithout('Students')), { status: 422, code: 'SHEET_MISSING' });
+  });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadSubjectNames, toSubjectKey, isSubjectKey, subjectName, subjectId } = require('../lib/subjects');
+const { createTempDir } = require('./helpers/fixtures');
+
+test('toSubjectKey turns names into column keys', () => {
+  assert.equal(toSubjectKey(' Social Science '), 'social_science');
+  assert.equal(toSubjectKey('Hindi-Course B'), 'hindi_course_b');
+});
+
+test('isSubjectKey', () => {
+  assert.equal(isSubjectKey('math'), true);
+  assert.equal(isSubjectKey('computer_science'), true);
+  assert.equal(isSubjectKey('हिंदी'), true);
+  assert.equal(isSubjectKey('_math'), false);
+  assert.equal(isSubjectKey('math__science'), false);
+  assert.equal(isSubjectKey('math!'), false);
+});
+
+test('subjectName uses the subject names file, then capitalizes each word', () => {
+  assert.equal(subjectName('evs'), 'Environmental Studies');
+  assert.equal(subjectName('SST'), 'Social Science');
+  assert.equal(subjectName('computer_science'), 'Computer Science');
+  assert.equal(subjectName('संस्कृत'), 'संस्कृत');
+});
+
+test('subjectId is shared by keys with the same display name', () => {
+  assert.equal(subjectId('sst'), 'social_science');
+  assert.equal(subjectId('social_science'), 'social_science');
+  assert.equal(subjectId('Social Science'), 'social_science');
+  assert.equal(subjectId('evs'), 'environmental_studies');
+});
+
+test('loadSubjectNames', async (t) => {
+  const dir = createTempDir();
+
+  await t.test('normalizes the keys', () => {
+    const file = path.join(dir, 'names.json');
+    fs.writeFileSync(file, JSON.stringify({ 'Work Experience': 'Work Education', PE: 'Physical Education' }));
+    assert.deepEqual(loadSubjectNames(file), { work_experience: 'Work Education', pe: 'Physical Education' });
+  });
+
+  await t.test('rejects entries without a display name', () => {
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ evs: '' }));
+    assert.throws(() => loadSubjectNames(file), /"evs" needs a display name/);
+
+    fs.writeFileSync(file, JSON.stringify(['evs']));
+    assert.throws(() => loadSubjectNames(file), /must be a map/);
+  });
+});
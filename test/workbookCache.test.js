@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWorkbookCache } = require('../lib/workbookCache');
+
+// A fetchWorkbook whose calls each wait until the test resolves or rejects them
+function createControlledFetch() {
+  const calls = [];
+  function fetchWorkbook() {
+    return new Promise((resolve, reject) => calls.push({ resolve, reject }));
+  }
+  return { calls, fetchWorkbook };
+}
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('workbook cache', async (t) => {
+  await t.test('waits for fresh data after invalidate()', async () => {
+    const source = createControlledFetch();
+    const cache = createWorkbookCache({ fetchWorkbook: source.fetchWorkbook, ttlMs: 60000, staleMs: 600000 });
+
+    const first = cache.get();
+    await settle();
+    source.calls[0].resolve('before');
+    assert.equal((await first).data, 'before');
+
+    cache.invalidate();
+    assert.equal(cache.getStatus().invalidated, true);
+    const second = cache.get();
+    await settle();
+    assert.equal(source.calls.length, 2);
+    source.calls[1].resolve('after');
+    assert.deepEqual([(await second).data, (await second).stale], ['after', false]);
+    assert.equal((await cache.get()).data, 'after');
+    assert.equal(cache.getStatus().invalidated, false);
+  });
+
+  await t.test('discards a fetch that was running when it was invalidated', async () => {
+    const source = createControlledFetch();
+    const cache = createWorkbookCache({ fetchWorkbook: source.fetchWorkbook, ttlMs: 60000, staleMs: 600000 });
+
+    const early = cache.get();
+    await settle();
+    cache.invalidate();
+    const late = cache.get();
+    await settle();
+    assert.equal(source.calls.length, 2);
+
+    source.calls[0].resolve('before the write');
+    source.calls[1].resolve('after the write');
+    assert.equal((await early).data, 'before the write');
+    assert.equal((await late).data, 'after the write');
+    assert.equal((await cache.get()).data, 'after the write');
+  });
+
+  await t.test('falls back to the last good snapshot if the refetch fails', async () => {
+    const source = createControlledFetch();
+    const cache = createWorkbookCache({ fetchWorkbook: source.fetchWorkbook, ttlMs: 60000, staleMs: 600000 });
+
+    const first = cache.get();
+    await settle();
+    source.calls[0].resolve('last good');
+    await first;
+
+    cache.invalidate();
+    const second = cache.get();
+    await settle();
+    source.calls[1].reject(new Error('Sheets is down'));
+    assert.deepEqual([(await second).data, (await second).stale], ['last good', true]);
+    assert.equal(cache.getStatus().lastError.message, 'Sheets is down');
+  });
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, STAFF_PASSWORD, createTempDir, writeStaffFile, sheetRows } = require('./helpers/fixtures');
+const { startApp } = require('./helpers/testServer');
+
+// The write API against a temporary copy of the fixture workbook
+
+test('write API', async (t) => {
+  const tempDir = createTempDir();
+  const workbookFile = path.join(tempDir, 'workbook.json');
+  fs.copyFileSync(path.join(FIXTURES_DIR, 'workbook.json'), workbookFile);
+
+  const server = await startApp({
+    DATA_SOURCE: 'json',
+    DATA_SOURCE_PATH: workbookFile,
+    STAFF_ACCOUNTS_FILE: writeStaffFile(tempDir),
+    ACADEMIC_CALENDAR_FILE: path.join(FIXTURES_DIR, 'academicCalendar.json'),
+    AUDIT_LOG_FILE: path.join(tempDir, 'audit.log'),
+    NOTIFY_STATE_FILE: path.join(tempDir, 'notification-state.json'),
+    AUTH_JWT_SECRET: 'test-secret'
+  });
+  t.after(() => server.close());
+
+  const { request } = server;
+  const staffLogin = async (username) =>
+    (await request('POST', '/api/auth/staff-login', { body: { username, password: STAFF_PASSWORD } })).body.token;
+  const teacherToken = await staffLogin('classteacher.8a');
+  const adminToken = await staffLogin('admin');
+  const readWorkbook = () => JSON.parse(fs.readFileSync(workbookFile, 'utf8'));
+
+  await t.test('POST /api/attendance', async (t) => {
+    await t.test('adds the day to the register', async () => {
+      const response = await request('POST', '/api/attendance', {
+        token: teacherToken,
+        body: { class: 'VIII-A', date: '09-07-2025', absentees: ['10233'], onLeave: ['10232'] }
+      });
+      assert.equal(response.status, 200);
+
+      const [headers, ...rows] = sheetRows(readWorkbook(), 'Attendance');
+      const column = headers.indexOf('09-07-2025');
+      assert.notEqual(column, -1);
+      assert.deepEqual(rows.map(row => [row[0], row[column]]), [['10231', 'P'], ['10232', 'L'], ['10233', 'A'], ['10310', undefined]]);
+    });
+
+    await t.test('shows the new day straight away', async () => {
+      const response = await request('GET', '/api/student-data/attendance-calendar?session=2025-26&admission=10233', { token: teacherToken });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.totals.workingDays, 6);
+      assert.equal(response.body.totals.absent, 4);
+    });
+
+    await t.test('corrects a day marked again in the register', async () => {
+      const response = await request('POST', '/api/attendance', {
+        token: teacherToken,
+        body: { class: 'VIII-A', date: '9-7-2025', absentees: ['10231'] }
+      });
+      assert.equal(response.status, 200);
+
+      const [headers, ...rows] = sheetRows(readWorkbook(), 'Attendance');
+      assert.equal(headers.filter(header => header === '09-07-2025' || header === '9-7-2025').length, 1);
+      const column = headers.indexOf('09-07-2025');
+      assert.deepEqual(rows.map(row => [row[0], row[column]]), [['10231', 'A'], ['10232', 'P'], ['10233', 'P'], ['10310', undefined]]);
+    });
+
+    await t.test('refuses absentees that are not a list', async () => {
+      const response = await request('POST', '/api/attendance', {
+        token: teacherToken,
+        body: { class: 'VIII-A', date: '10-07-2025', absentees: '10233' }
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+    });
+
+    await t.test('refuses students from another class', async () => {
+      const response = await request('POST', '/api/attendance', {
+        token: adminToken,
+        body: { class: 'VIII-A', date: '10-07-2025', absentees: ['10310'] }
+      });
+      assert.equal(response.status, 400);
+      assert.match(response.body.error, /Not in class VIII-A: 10310/);
+    });
+
+    await t.test('refuses a teacher another class', async () => {
+      const response = await request('POST', '/api/attendance', {
+        token: teacherToken,
+        body: { class: 'VI-B', date: '10-07-2025', absentees: [] }
+      });
+      assert.equal(response.status, 403);
+    });
+
+    await t.test('refuses to count a day twice in monthly totals', async () => {
+      // The same sheet kept as monthly totals only
+      const workbook = readWorkbook();
+      const attendance = workbook.valueRanges.find(range => range.range.startsWith('Attendance!'));
+      const [headers] = attendance.values;
+      const totalsOnly = headers.map((header, index) => index).filter(index => !/^\d{2}-\d{2}-\d{4}$/.test(headers[index]));
+      attendance.values = attendance.values.map(row => totalsOnly.map(index => row[index]));
+      fs.writeFileSync(workbookFile, JSON.stringify(workbook));
+
+      const body = { class: 'VIII-A', date: '10-07-2025', absentees: [] };
+      assert.equal((await request('POST', '/api/attendance', { token: teacherToken, body })).status, 200);
+      assert.equal((await request('POST', '/api/attendance', { token: teacherToken, body })).status, 409);
+
+      const otherFormat = await request('POST', '/api/attendance', {
+        token: teacherToken,
+        body: { ...body, date: '10-7-2025' }
+      });
+      assert.equal(otherFormat.status, 409);
+    });
+  });
+
+  await t.test('POST /api/tests adds the next test of a multi-word subject', async () => {
+    const response = await request('POST', '/api/tests', {
+      token: teacherToken,
+      body: { class: 'VIII-A', subject: 'Social Science', testName: 'UT2', date: '20-08-2025', maxMarks: 25, marks: [{ admissionNo: '10231', marksObtained: 21 }] }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.testKey, 'social_science_test2');
+
+    const student = await request('GET', '/api/student-data?admission=10231', { token: teacherToken });
+    const socialScience = student.body.subjects.find(group => group.subjectId === 'social_science');
+    assert.deepEqual(socialScience.tests.map(test => [test.name, test.percentage]), [['UT1', 76], ['UT2', 84]]);
+  });
+
+  await t.test('POST /api/tests adds to the columns a subject already has under another key', async () => {
+    const workbook = JSON.parse(fs.readFileSync(workbookFile, 'utf8'));
+    const [headers] = sheetRows(workbook, 'Tests');
+    headers.forEach((header, index) => { headers[index] = header.replace(/^social_science_/, 'sst_'); });
+    fs.writeFileSync(workbookFile, JSON.stringify(workbook));
+
+    const response = await request('POST', '/api/tests', {
+      token: teacherToken,
+      body: { class: 'VIII-A', subject: 'Social Science', testName: 'UT3', date: '15-09-2025', maxMarks: 25, marks: [{ admissionNo: '10231', marksObtained: 18 }] }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.testKey, 'sst_test3');
+    assert.ok(!sheetRows(readWorkbook(), 'Tests')[0].some(header => header.startsWith('social_science_')));
+  });
+
+  await t.test('malformed write bodies are refused before any edit', async () => {
+    const bodies = [
+      ['POST', '/api/tests', { class: 'VIII-A', subject: 'math', testName: 'UT2', date: '20-08-2025', maxMarks: 25, marks: [null] }],
+      ['POST', '/api/tests', { class: 'VIII-A', subject: 'math', testName: 'UT2', date: '20-08-2025', maxMarks: 25, marks: [{ marksObtained: 20 }] }],
+      ['PATCH', '/api/assignments', { class: 'VIII-A', subject: 'math', number: 1, updates: { admissionNo: '10231', status: 'submitted' } }],
+      ['PATCH', '/api/assignments', { class: 'VIII-A', subject: 'math', number: 1, updates: ['10231'] }]
+    ];
+    const before = fs.readFileSync(workbookFile, 'utf8');
+
+    for (const [method, route, body] of bodies) {
+      const response = await request(method, route, { token: teacherToken, body });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'VALIDATION_ERROR');
+    }
+    assert.equal(fs.readFileSync(workbookFile, 'utf8'), before);
+  });
+
+  await t.test('the audit log records the changes', async () => {
+    const response = await request('GET', '/api/admin/audit-log', { token: adminToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.entries.map(entry => [entry.action, entry.user]), [
+      ['test', 'classteacher.8a'],
+      ['test', 'classteacher.8a'],
+      ['attendance', 'classteacher.8a'],
+      ['attendance', 'classteacher.8a'],
+      ['attendance', 'classteacher.8a']
+    ]);
+  });
+});